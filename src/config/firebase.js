@@ -0,0 +1,19 @@
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Initialise the Firebase Admin SDK on first use, so the service account is only
+// needed when Firebase auth or push notifications are enabled
+const getFirebaseAdmin = () => {
+  if (admin.apps.length === 0) {
+    const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH ||
+      path.join(__dirname, '../../firebase-service-account.json');
+
+    admin.initializeApp({
+      credential: admin.credential.cert(require(path.resolve(serviceAccountPath)))
+    });
+  }
+
+  return admin;
+};
+
+module.exports = { getFirebaseAdmin };
@@ -0,0 +1,366 @@
+const bcrypt = require('bcryptjs');
+const { AdminUser, Report, ModerationAction, User, Listing, Message, Rating } = require('../models');
+const { sequelize } = require('../config/database');
+const moderationService = require('../services/moderation.service');
+const socketService = require('../services/socket.service');
+const { signAdminToken } = require('../utils/admin-token.utils');
+
+const STAFF_ROLES = ['admin', 'moderator'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const userAttributes = ['id', 'username', 'profilePicture'];
+const moderatedUserAttributes = ['id', 'username', 'email', 'profilePicture', 'accountStatus', 'suspendedUntil', 'statusReason', 'createdAt'];
+
+// The reported item as it is now, which may differ from the report's snapshot
+const findCurrentTarget = (targetType, targetId) => {
+  switch (targetType) {
+    case 'user':
+      return User.findByPk(targetId, { attributes: moderatedUserAttributes });
+    case 'message':
+      return Message.findByPk(targetId, { attributes: { exclude: ['editHistory'] } });
+    case 'listing':
+      return Listing.findByPk(targetId);
+    case 'rating':
+      return Rating.findByPk(targetId);
+    default:
+      return null;
+  }
+};
+
+// Handler that runs a moderation action in a transaction. `act` receives the
+// request, the reason and report it was taken on, and the transaction.
+const moderationHandler = (context, act) => async (req, res) => {
+  const transaction = await sequelize.transaction();
+  
+  try {
+    const { reason, reportId } = req.body;
+    
+    const result = await act(req, { reason, reportId }, transaction);
+    
+    await transaction.commit();
+    
+    return res.status(200).json({
+      message: 'Moderation action recorded',
+      ...result
+    });
+  } catch (error) {
+    await transaction.rollback();
+    
+    if (error instanceof moderationService.ModerationError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
+    console.error(`${context} error:`, error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Signed-in sockets of a locked-out user are dropped once the action is committed
+const disconnectAfterCommit = (userId, transaction) => {
+  transaction.afterCommit(() => socketService.disconnectUser(userId));
+};
+
+const adminController = {
+  // Staff sign in with email and password
+  login: async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      
+      if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required' });
+      }
+      
+      const adminUser = await AdminUser.scope('withPassword').findOne({
+        where: { email: String(email).toLowerCase() }
+      });
+      
+      if (!adminUser || !adminUser.isActive || !await bcrypt.compare(password, adminUser.passwordHash)) {
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+      
+      adminUser.lastLoginAt = new Date();
+      await adminUser.save();
+      
+      const staff = adminUser.toJSON();
+      delete staff.passwordHash;
+      
+      return res.status(200).json({
+        message: 'Login successful',
+        token: signAdminToken(adminUser),
+        admin: staff
+      });
+    } catch (error) {
+      console.error('Admin login error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the signed-in staff member
+  getMe: async (req, res) => {
+    try {
+      const adminUser = await AdminUser.findByPk(req.adminId);
+      
+      return res.status(200).json({ admin: adminUser });
+    } catch (error) {
+      console.error('Get admin profile error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // List staff accounts (admins only)
+  getStaff: async (req, res) => {
+    try {
+      if (req.adminRole !== 'admin') {
+        return res.status(403).json({ message: 'Forbidden: Only admins can manage staff' });
+      }
+      
+      const staff = await AdminUser.findAll({ order: [['createdAt', 'ASC']] });
+      
+      return res.status(200).json({ staff });
+    } catch (error) {
+      console.error('Get staff error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Create a staff account (admins only)
+  createStaff: async (req, res) => {
+    try {
+      if (req.adminRole !== 'admin') {
+        return res.status(403).json({ message: 'Forbidden: Only admins can manage staff' });
+      }
+      
+      const { email, name, password, role = 'moderator' } = req.body;
+      
+      if (!email || !name || !password) {
+        return res.status(400).json({ message: 'Email, name and password are required' });
+      }
+      
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+      }
+      
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      
+      const normalizedEmail = String(email).toLowerCase();
+      const existingStaff = await AdminUser.findOne({ where: { email: normalizedEmail } });
+      
+      if (existingStaff) {
+        return res.status(409).json({ message: 'A staff account with this email already exists' });
+      }
+      
+      const adminUser = await AdminUser.create({
+        email: normalizedEmail,
+        name,
+        role,
+        passwordHash: await bcrypt.hash(password, 10)
+      });
+      
+      const staff = adminUser.toJSON();
+      delete staff.passwordHash;
+      
+      return res.status(201).json({
+        message: 'Staff account created',
+        admin: staff
+      });
+    } catch (error) {
+      console.error('Create staff error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Change a staff member's role or deactivate them (admins only)
+  updateStaff: async (req, res) => {
+    try {
+      if (req.adminRole !== 'admin') {
+        return res.status(403).json({ message: 'Forbidden: Only admins can manage staff' });
+      }
+      
+      const { role, isActive } = req.body;
+      
+      if (req.params.id === req.adminId) {
+        return res.status(400).json({ message: 'You cannot change your own staff account' });
+      }
+      
+      if (role !== undefined && !STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+      }
+      
+      const adminUser = await AdminUser.findByPk(req.params.id);
+      
+      if (!adminUser) {
+        return res.status(404).json({ message: 'Staff account not found' });
+      }
+      
+      if (role !== undefined) adminUser.role = role;
+      if (isActive !== undefined) adminUser.isActive = Boolean(isActive);
+      
+      await adminUser.save();
+      
+      return res.status(200).json({
+        message: 'Staff account updated',
+        admin: adminUser
+      });
+    } catch (error) {
+      console.error('Update staff error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Review queue of reported users, messages, listings and ratings, oldest first
+  getReports: async (req, res) => {
+    try {
+      const queue = await moderationService.getReports(req.query, { reportedUserAttributes: moderatedUserAttributes });
+      
+      return res.status(200).json(queue);
+    } catch (error) {
+      if (error instanceof moderationService.ModerationError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Admin get reports error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // A report with the reported item as it is now, other reports about it and the actions taken on it
+  getReportById: async (req, res) => {
+    try {
+      const report = await Report.findByPk(req.params.id, {
+        include: [
+          { model: User, as: 'reporter', attributes: userAttributes },
+          { model: User, as: 'reportedUser', attributes: moderatedUserAttributes },
+          { model: AdminUser, as: 'reviewedByAdmin', attributes: ['id', 'name'] },
+          { model: User, as: 'reviewedBy', attributes: userAttributes }
+        ]
+      });
+      
+      if (!report) {
+        return res.status(404).json({ message: 'Report not found' });
+      }
+      
+      const target = await findCurrentTarget(report.targetType, report.targetId);
+      
+      const relatedReports = await Report.count({
+        where: { targetType: report.targetType, targetId: report.targetId }
+      });
+      
+      const actions = await ModerationAction.findAll({
+        where: { targetType: report.targetType, targetId: report.targetId },
+        include: [
+          { model: AdminUser, as: 'admin', attributes: ['id', 'name'] },
+          { model: User, as: 'actorUser', attributes: userAttributes }
+        ],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({
+        report,
+        target,
+        relatedReports,
+        actions
+      });
+    } catch (error) {
+      console.error('Admin get report error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Close a report as reviewed or dismissed without taking an action from the console
+  reviewReport: moderationHandler('Admin review report', (req, options, transaction) => (
+    moderationService.reviewReport({ adminId: req.adminId }, req.params.id, { status: req.body.status, note: req.body.note }, transaction)
+  )),
+  
+  hideListing: moderationHandler('Hide listing', (req, options, transaction) => (
+    moderationService.hideListing(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  restoreListing: moderationHandler('Restore listing', (req, options, transaction) => (
+    moderationService.restoreListing(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  removeListing: moderationHandler('Remove listing', (req, options, transaction) => (
+    moderationService.removeListing(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  hideRating: moderationHandler('Hide rating', (req, options, transaction) => (
+    moderationService.hideRating(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  restoreRating: moderationHandler('Restore rating', (req, options, transaction) => (
+    moderationService.restoreRating(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  removeMessage: moderationHandler('Remove message', (req, options, transaction) => (
+    moderationService.removeMessage(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  // Suspend a user for a number of days, or until a date
+  suspendUser: moderationHandler('Suspend user', async (req, options, transaction) => {
+    const { days, until } = req.body;
+    const suspendedUntil = until ? new Date(until) : new Date(Date.now() + parseFloat(days) * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+      throw new moderationService.ModerationError(400, 'A positive number of days or a future until date is required');
+    }
+    
+    const result = await moderationService.suspendUser(req.adminId, req.params.id, { ...options, until: suspendedUntil }, transaction);
+    
+    disconnectAfterCommit(req.params.id, transaction);
+    
+    return result;
+  }),
+  
+  banUser: moderationHandler('Ban user', async (req, options, transaction) => {
+    const result = await moderationService.banUser(req.adminId, req.params.id, options, transaction);
+    
+    disconnectAfterCommit(req.params.id, transaction);
+    
+    return result;
+  }),
+  
+  reinstateUser: moderationHandler('Reinstate user', (req, options, transaction) => (
+    moderationService.reinstateUser(req.adminId, req.params.id, options, transaction)
+  )),
+  
+  // Moderation action log, newest first
+  getActions: async (req, res) => {
+    try {
+      const { adminId, actorUserId, action, targetType, targetId, page = 1, limit = 50 } = req.query;
+      const offset = (page - 1) * limit;
+      
+      const where = {};
+      
+      if (adminId) where.adminId = adminId;
+      if (actorUserId) where.actorUserId = actorUserId;
+      if (action) where.action = action;
+      if (targetType) where.targetType = targetType;
+      if (targetId) where.targetId = targetId;
+      
+      const actions = await ModerationAction.findAndCountAll({
+        where,
+        include: [
+          { model: AdminUser, as: 'admin', attributes: ['id', 'name', 'email'] },
+          { model: User, as: 'actorUser', attributes: userAttributes }
+        ],
+        limit: parseInt(limit),
+        offset,
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({
+        actions: actions.rows,
+        totalActions: actions.count,
+        totalPages: Math.ceil(actions.count / limit),
+        currentPage: parseInt(page)
+      });
+    } catch (error) {
+      console.error('Get moderation actions error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = adminController;
@@ -0,0 +1,439 @@
+const path = require('path');
+const { Trade, User, Dispute, DisputeMessage } = require('../models');
+const { sequelize } = require('../config/database');
+const { isTradeParticipant } = require('../utils/trade.utils');
+const roleService = require('../services/role.service');
+const coinLedger = require('../services/coin-ledger.service');
+const disputeService = require('../services/dispute.service');
+const tradeStateMachine = require('../services/trade-state-machine');
+const storage = require('../services/storage');
+
+// Errors raised by trade rules rather than by failures
+const isExpectedTradeError = (error) => (
+  error instanceof tradeStateMachine.TradeTransitionError ||
+  error instanceof coinLedger.InsufficientCoinsError
+);
+
+const respondToTradeError = (res, error) => (
+  res.status(error.status || 400).json({ message: error.message, ...error.details })
+);
+
+// Remove stored evidence files whose dispute change was not saved. Handlers do this before
+// rolling back, since the rollback throws again if it was the commit that failed. A file that
+// cannot be removed is logged rather than hiding the error that caused the cleanup.
+const removeEvidence = (evidence) => Promise.all(evidence.map(item => (
+  storage.remove(item.key).catch(error => console.error('Remove dispute evidence error:', error))
+)));
+
+// Persist uploaded evidence files privately and describe them. Nothing is left stored if one fails.
+const saveEvidence = async (files, userId) => {
+  const evidence = [];
+  
+  try {
+    for (const file of files || []) {
+      evidence.push({
+        key: await storage.savePrivateUpload(file, 'disputes'),
+        mediaType: file.mimetype.startsWith('image/') ? 'image' : 'video',
+        uploadedById: userId,
+        at: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    await removeEvidence(evidence);
+    throw error;
+  }
+  
+  return evidence;
+};
+
+// Load a dispute with its trade, checking the user may see it
+const findAccessibleDispute = async (disputeId, userId) => {
+  const dispute = await Dispute.findByPk(disputeId, { include: [{ model: Trade }] });
+  
+  if (!dispute) {
+    return { status: 404, message: 'Dispute not found' };
+  }
+  
+  if (!isTradeParticipant(dispute.Trade, userId) && !await roleService.hasPermission(userId, roleService.PERMISSIONS.RESOLVE_DISPUTES)) {
+    return { status: 403, message: 'Unauthorized: You are not part of this dispute' };
+  }
+  
+  return { dispute };
+};
+
+// Moderators who are part of the trade take part as a party, never as its moderator
+const isDisputeModerator = async (trade, userId) => (
+  !isTradeParticipant(trade, userId) && roleService.hasPermission(userId, roleService.PERMISSIONS.RESOLVE_DISPUTES)
+);
+
+// Stream a stored evidence file. Evidence is private, so never cached.
+// Evidence uploaded before it was private is described by its URL instead of a key.
+const sendEvidenceFile = async (res, item) => {
+  const key = item && (item.key || storage.keyFromUrl(item.url));
+  const stats = key ? await storage.stat(key) : null;
+  
+  if (!stats) {
+    return res.status(404).json({ message: 'Evidence not found' });
+  }
+  
+  res.status(200);
+  res.type(path.extname(key));
+  res.set('Cache-Control', 'private, no-store');
+  res.set('Content-Length', String(stats.size));
+  
+  const stream = await storage.createReadStream(key);
+  
+  stream.on('error', (error) => {
+    console.error('Stream dispute evidence error:', error);
+    res.destroy(error);
+  });
+  
+  stream.pipe(res);
+};
+
+const userAttributes = ['id', 'username', 'profilePicture'];
+
+const disputeController = {
+  // Open a dispute on a trade
+  openDispute: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    let evidence = [];
+    
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { reason } = req.body;
+      
+      if (!reason || !reason.trim()) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'A reason is required to open a dispute' });
+      }
+      
+      const trade = await Trade.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!trade) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      await tradeStateMachine.assertTransition(trade, 'dispute', userId);
+      
+      evidence = await saveEvidence(req.files, userId);
+      
+      const dispute = await disputeService.openDispute(trade, {
+        openedById: userId,
+        reason: reason.trim(),
+        evidence
+      }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(201).json({
+        message: 'Dispute opened. A moderator will review it',
+        dispute,
+        trade
+      });
+    } catch (error) {
+      await removeEvidence(evidence);
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Open dispute error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get all disputes of a trade
+  getTradeDisputes: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      
+      const trade = await Trade.findByPk(id);
+      
+      if (!trade) {
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      if (!isTradeParticipant(trade, userId) && !await roleService.hasPermission(userId, roleService.PERMISSIONS.RESOLVE_DISPUTES)) {
+        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
+      }
+      
+      const disputes = await Dispute.findAll({
+        where: { tradeId: trade.id },
+        include: [{ model: User, as: 'openedBy', attributes: userAttributes }],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({ disputes });
+    } catch (error) {
+      console.error('Get trade disputes error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get a dispute with its message thread
+  getDisputeById: async (req, res) => {
+    try {
+      const { dispute, status, message } = await findAccessibleDispute(req.params.id, req.userId);
+      
+      if (!dispute) {
+        return res.status(status).json({ message });
+      }
+      
+      const messages = await DisputeMessage.findAll({
+        where: { disputeId: dispute.id },
+        include: [{ model: User, as: 'sender', attributes: userAttributes }],
+        order: [['createdAt', 'ASC']]
+      });
+      
+      return res.status(200).json({ dispute, messages });
+    } catch (error) {
+      console.error('Get dispute error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Stream one of a dispute's evidence files to its parties and moderators
+  getEvidenceFile: async (req, res) => {
+    try {
+      const { dispute, status, message } = await findAccessibleDispute(req.params.id, req.userId);
+      
+      if (!dispute) {
+        return res.status(status).json({ message });
+      }
+      
+      return await sendEvidenceFile(res, (dispute.evidence || [])[parseInt(req.params.index)]);
+    } catch (error) {
+      console.error('Get dispute evidence error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Stream an attachment of a message in a dispute thread
+  getMessageAttachment: async (req, res) => {
+    try {
+      const { dispute, status, message } = await findAccessibleDispute(req.params.id, req.userId);
+      
+      if (!dispute) {
+        return res.status(status).json({ message });
+      }
+      
+      const disputeMessage = await DisputeMessage.findOne({
+        where: { id: req.params.messageId, disputeId: dispute.id },
+        attributes: ['id', 'attachments']
+      });
+      
+      if (!disputeMessage) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      
+      return await sendEvidenceFile(res, disputeMessage.attachments[parseInt(req.params.index)]);
+    } catch (error) {
+      console.error('Get dispute attachment error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Post a message, with optional attachments, to a dispute thread
+  addDisputeMessage: async (req, res) => {
+    let attachments = [];
+    
+    try {
+      const userId = req.userId;
+      const { content } = req.body;
+      
+      const { dispute, status, message } = await findAccessibleDispute(req.params.id, userId);
+      
+      if (!dispute) {
+        return res.status(status).json({ message });
+      }
+      
+      if (dispute.status !== 'open') {
+        return res.status(400).json({ message: 'Dispute is already resolved' });
+      }
+      
+      if (!content || !content.trim()) {
+        return res.status(400).json({ message: 'Message content is required' });
+      }
+      
+      attachments = await saveEvidence(req.files, userId);
+      
+      const disputeMessage = await DisputeMessage.create({
+        disputeId: dispute.id,
+        senderId: userId,
+        content: content.trim(),
+        attachments,
+        fromModerator: await isDisputeModerator(dispute.Trade, userId)
+      });
+      
+      return res.status(201).json({
+        message: 'Message sent',
+        disputeMessage
+      });
+    } catch (error) {
+      await removeEvidence(attachments);
+      console.error('Add dispute message error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Attach more evidence to an open dispute
+  addEvidence: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    let evidence = [];
+    
+    try {
+      const userId = req.userId;
+      
+      const dispute = await Dispute.findByPk(req.params.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!dispute) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Dispute not found' });
+      }
+      
+      const trade = await Trade.findByPk(dispute.tradeId, { transaction });
+      
+      if (!isTradeParticipant(trade, userId)) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'Unauthorized: You are not part of this dispute' });
+      }
+      
+      if (dispute.status !== 'open') {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Dispute is already resolved' });
+      }
+      
+      if (!req.files || req.files.length === 0) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'No evidence uploaded' });
+      }
+      
+      evidence = await saveEvidence(req.files, userId);
+      dispute.evidence = [...(dispute.evidence || []), ...evidence];
+      await dispute.save({ transaction });
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Evidence added',
+        dispute
+      });
+    } catch (error) {
+      await removeEvidence(evidence);
+      await transaction.rollback();
+      console.error('Add dispute evidence error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Moderation queue of disputes
+  getDisputes: async (req, res) => {
+    try {
+      const { status = 'open', page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+      
+      const disputes = await Dispute.findAndCountAll({
+        where: { status },
+        include: [
+          { model: Trade },
+          { model: User, as: 'openedBy', attributes: userAttributes }
+        ],
+        limit: parseInt(limit),
+        offset,
+        order: [['createdAt', 'ASC']]
+      });
+      
+      return res.status(200).json({
+        disputes: disputes.rows,
+        totalDisputes: disputes.count,
+        totalPages: Math.ceil(disputes.count / limit),
+        currentPage: parseInt(page)
+      });
+    } catch (error) {
+      console.error('Get disputes error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Resolve a dispute in favour of a party
+  resolveDispute: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const moderatorId = req.userId;
+      const { outcome, favouredUserId, note } = req.body;
+      
+      if (!disputeService.OUTCOMES.includes(outcome)) {
+        await transaction.rollback();
+        return res.status(400).json({ message: `Outcome must be one of: ${disputeService.OUTCOMES.join(', ')}` });
+      }
+      
+      const dispute = await Dispute.findByPk(req.params.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!dispute) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Dispute not found' });
+      }
+      
+      if (dispute.status !== 'open') {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Dispute is already resolved' });
+      }
+      
+      const trade = await Trade.findByPk(dispute.tradeId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!await isDisputeModerator(trade, moderatorId)) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'Unauthorized: You cannot resolve a dispute on your own trade' });
+      }
+      
+      if (favouredUserId && !isTradeParticipant(trade, favouredUserId)) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'The favoured user must be part of the trade' });
+      }
+      
+      await disputeService.resolveDispute(dispute, trade, {
+        moderatorId,
+        outcome,
+        favouredUserId: favouredUserId || null,
+        note: note || null
+      }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Dispute resolved',
+        dispute,
+        trade
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Resolve dispute error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = disputeController;
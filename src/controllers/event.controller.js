@@ -0,0 +1,28 @@
+const eventStream = require('../services/event-stream.service');
+
+const eventController = {
+  // Replay the realtime events a user missed (for reconnecting clients)
+  getEventsSince: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { after, since, limit = 100 } = req.query;
+      
+      const events = await eventStream.replay(userId, { after, since }, { limit });
+      
+      return res.status(200).json({
+        events,
+        // Clients page forward by passing the last event's id as after
+        hasMore: events.length === Math.min(parseInt(limit) || 100, eventStream.MAX_REPLAY_EVENTS)
+      });
+    } catch (error) {
+      if (error instanceof eventStream.ReplayError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Get events error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = eventController;
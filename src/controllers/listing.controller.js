@@ -1,27 +1,38 @@
 const { Listing, User } = require('../models');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { parseCoordinates, parseNear, boundingBox, boxCondition, distanceSql } = require('../utils/geo.utils');
 const admin = require('firebase-admin');
+const storage = require('../services/storage');
+const blockService = require('../services/block.service');
+
+// Listings of users the viewer has blocked, or been blocked by, are hidden
+const visibleOwnersCondition = async (viewerId) => {
+  const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+  
+  return hiddenUserIds.length > 0 ? { userId: { [Op.notIn]: hiddenUserIds } } : {};
+};
 
 const listingController = {
   // Create a new listing
   createListing: async (req, res) => {
+    let images = [];
+    
     try {
       const userId = req.userId;
-      const { title, description, category, condition, estimatedValue, tradePreferences, location } = req.body;
-      
-      // Process uploaded images (store locally or use a different service)
-      const images = [];
-      if (req.files && req.files.length > 0) {
-        // For now, we'll store file paths or use a different storage solution
-        // This is a placeholder - implement your preferred storage solution
-        for (const file of req.files) {
-          const fileName = `${Date.now()}_${file.originalname}`;
-          // Store file locally or use another cloud storage service
-          // For demo purposes, we'll use a placeholder URL
-          images.push(`/uploads/listings/${fileName}`);
-        }
+      const { title, description, category, condition, estimatedValue, tradePreferences, location, latitude, longitude } = req.body;
+      
+      // Validate coordinates if provided. Listings are public, so a listing without its own
+      // coordinates has none rather than the owner's home location.
+      const hasCoordinates = latitude !== undefined || longitude !== undefined;
+      const coordinates = hasCoordinates ? parseCoordinates(latitude, longitude) : { latitude: null, longitude: null };
+      if (!coordinates) {
+        return res.status(400).json({ message: 'Invalid coordinates' });
       }
       
+      // Persist uploaded images
+      images = await storage.saveUploads(req.files, 'listings');
+      
       // Create listing
       const newListing = await Listing.create({
         title,
@@ -31,6 +42,8 @@ const listingController = {
         estimatedValue,
         tradePreferences,
         location,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
         images,
         userId
       });
@@ -40,6 +53,7 @@ const listingController = {
         listing: newListing
       });
     } catch (error) {
+      await storage.removeUrls(images);
       console.error('Create listing error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -48,7 +62,7 @@ const listingController = {
   // Get all listings with pagination and filters
   getAllListings: async (req, res) => {
     try {
-      const { page = 1, limit = 10, category, condition, minValue, maxValue, search, location } = req.query;
+      const { page = 1, limit = 10, category, condition, minValue, maxValue, search, location, near, radius = 25 } = req.query;
       
       // Build filter conditions
       const whereConditions = {};
@@ -76,12 +90,36 @@ const listingController = {
       // Only show available listings
       whereConditions.isAvailable = true;
       
+      Object.assign(whereConditions, await visibleOwnersCondition(req.userId));
+      
+      // Radius search around a point, nearest first
+      let attributes;
+      let order = [['createdAt', 'DESC']];
+      
+      if (near) {
+        const center = parseNear(near);
+        const radiusKm = parseFloat(radius);
+        
+        if (!center || !(radiusKm > 0)) {
+          return res.status(400).json({ message: 'near must be "lat,lng" and radius a positive number of kilometres' });
+        }
+        
+        const box = boundingBox(center, radiusKm);
+        const distance = sequelize.literal(distanceSql(center, 'Listing'));
+        
+        whereConditions[Op.and] = [boxCondition(box), sequelize.where(distance, Op.lte, radiusKm)];
+        
+        attributes = { include: [[distance, 'distance']] };
+        order = [[distance, 'ASC']];
+      }
+      
       // Calculate pagination
       const offset = (page - 1) * limit;
       
       // Get listings
       const { count, rows: listings } = await Listing.findAndCountAll({
         where: whereConditions,
+        attributes,
         include: [{
           model: User,
           as: 'owner',
@@ -89,7 +127,7 @@ const listingController = {
         }],
         limit: parseInt(limit),
         offset: offset,
-        order: [['createdAt', 'DESC']]
+        order
       });
       
       return res.status(200).json({
@@ -117,7 +155,12 @@ const listingController = {
         }]
       });
       
-      if (!listing) {
+      if (!listing || await blockService.isBlockedBetween(req.userId, listing.userId)) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+      
+      // Listings taken down by moderators are only shown to their owner
+      if (listing.moderationStatus !== 'visible' && listing.userId !== req.userId) {
         return res.status(404).json({ message: 'Listing not found' });
       }
       
@@ -134,10 +177,12 @@ const listingController = {
   
   // Update listing
   updateListing: async (req, res) => {
+    let newImages = [];
+    
     try {
       const userId = req.userId;
       const { id } = req.params;
-      const { title, description, category, condition, estimatedValue, tradePreferences, location, isAvailable } = req.body;
+      const { title, description, category, condition, estimatedValue, tradePreferences, location, latitude, longitude, isAvailable } = req.body;
       
       const listing = await Listing.findByPk(id);
       
@@ -150,21 +195,27 @@ const listingController = {
         return res.status(403).json({ message: 'Unauthorized: You do not own this listing' });
       }
       
+      if (listing.moderationStatus !== 'visible') {
+        return res.status(403).json({ message: `This listing was ${listing.moderationStatus} by a moderator and cannot be changed` });
+      }
+      
+      // Validate coordinates if provided
+      const hasCoordinates = latitude !== undefined || longitude !== undefined;
+      const coordinates = hasCoordinates && parseCoordinates(latitude, longitude);
+      if (hasCoordinates && !coordinates) {
+        return res.status(400).json({ message: 'Invalid coordinates' });
+      }
+      
       // Process new images if any
+      let replacedImages = [];
       if (req.files && req.files.length > 0) {
-        const newImages = [];
-
-        for (const file of req.files) {
-          const fileName = `${Date.now()}_${file.originalname}`;
-          // Store file locally or use another cloud storage service
-          // For demo purposes, we'll use a placeholder URL
-          newImages.push(`/uploads/listings/${fileName}`);
-        }
-
+        newImages = await storage.saveUploads(req.files, 'listings');
+        
         // Combine with existing images or replace them
         if (req.body.keepExistingImages === 'true') {
           listing.images = [...listing.images, ...newImages];
         } else {
+          replacedImages = listing.images;
           listing.images = newImages;
         }
       }
@@ -177,15 +228,24 @@ const listingController = {
       if (estimatedValue) listing.estimatedValue = estimatedValue;
       if (tradePreferences) listing.tradePreferences = tradePreferences;
       if (location) listing.location = location;
+      if (hasCoordinates) {
+        listing.latitude = coordinates.latitude;
+        listing.longitude = coordinates.longitude;
+      }
       if (isAvailable !== undefined) listing.isAvailable = isAvailable;
       
       await listing.save();
       
+      // Clean up images that were replaced
+      await Promise.all(replacedImages.map(url => storage.removeByUrl(url)));
+      
       return res.status(200).json({
         message: 'Listing updated successfully',
         listing
       });
     } catch (error) {
+      // Uploads the listing was not saved with would otherwise never be removed
+      await storage.removeUrls(newImages);
       console.error('Update listing error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -208,8 +268,13 @@ const listingController = {
         return res.status(403).json({ message: 'Unauthorized: You do not own this listing' });
       }
       
+      const images = listing.images || [];
+      
       await listing.destroy();
       
+      // Clean up stored images
+      await Promise.all(images.map(url => storage.removeByUrl(url)));
+      
       return res.status(200).json({ message: 'Listing deleted successfully' });
     } catch (error) {
       console.error('Delete listing error:', error);
@@ -230,7 +295,8 @@ const listingController = {
       const { count, rows: listings } = await Listing.findAndCountAll({
         where: { 
           category,
-          isAvailable: true 
+          isAvailable: true,
+          ...await visibleOwnersCondition(req.userId)
         },
         include: [{
           model: User,
@@ -260,6 +326,10 @@ const listingController = {
       const { userId } = req.params;
       const { page = 1, limit = 10, includeUnavailable = false } = req.query;
       
+      if (await blockService.isBlockedBetween(req.userId, userId)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
       // Calculate pagination
       const offset = (page - 1) * limit;
       
@@ -270,6 +340,11 @@ const listingController = {
         whereConditions.isAvailable = true;
       }
       
+      // Owners also see their listings that moderators took down
+      if (req.userId !== userId) {
+        whereConditions.moderationStatus = 'visible';
+      }
+      
       // Get listings
       const { count, rows: listings } = await Listing.findAndCountAll({
         where: whereConditions,
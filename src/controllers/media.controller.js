@@ -0,0 +1,91 @@
+const path = require('path');
+const storage = require('../services/storage');
+
+// Parse a single "bytes=start-end" range header
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+
+  if (!match[1]) {
+    // Suffix range: last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) return null;
+
+  return { start, end };
+};
+
+const mediaController = {
+  // Stream a stored file. Private files (e.g. identity documents) are not served here.
+  getMedia: async (req, res) => {
+    try {
+      const key = req.params[0];
+
+      if (storage.isPrivate(key)) {
+        return res.status(404).json({ message: 'Media not found' });
+      }
+
+      let stats;
+      try {
+        stats = await storage.stat(key);
+      } catch (error) {
+        if (error.message.startsWith('Invalid storage key')) {
+          return res.status(400).json({ message: 'Invalid media path' });
+        }
+        throw error;
+      }
+
+      if (!stats) {
+        return res.status(404).json({ message: 'Media not found' });
+      }
+
+      res.type(path.extname(key));
+      res.set('Accept-Ranges', 'bytes');
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+
+      let range = null;
+
+      if (req.headers.range) {
+        range = parseRange(req.headers.range, stats.size);
+
+        if (!range) {
+          res.set('Content-Range', `bytes */${stats.size}`);
+          return res.status(416).end();
+        }
+
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+      } else {
+        res.status(200);
+        res.set('Content-Length', String(stats.size));
+      }
+
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+
+      const stream = await storage.createReadStream(key, range);
+
+      stream.on('error', (error) => {
+        console.error('Stream media error:', error);
+        res.destroy(error);
+      });
+
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Get media error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = mediaController;
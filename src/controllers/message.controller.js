@@ -1,106 +1,159 @@
-const { Conversation, Message, User } = require('../models');
+const { Conversation, ConversationParticipant, Message, MessageReaction, User, Trade, Listing } = require('../models');
 const { Op } = require('sequelize');
+const { validate: isUuid } = require('uuid');
 const admin = require('firebase-admin');
+const { sequelize } = require('../config/database');
+const messageService = require('../services/message.service');
+
+const MAX_PAGE_SIZE = 100;
+
+// Search highlights wrap each match in <mark></mark>
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=5, MaxWords=20';
+
+// Structured message payloads arrive as a JSON string in multipart requests
+const parsePayload = (payload) => {
+  if (typeof payload !== 'string') return payload;
+  
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    throw new messageService.MessageError(400, 'payload must be valid JSON');
+  }
+};
+
+const listingSummaryAttributes = ['id', 'title', 'images'];
+
+// Sender, reactions and the message replied to, as shown in a thread
+const threadIncludes = [
+  {
+    model: User,
+    as: 'sender',
+    attributes: ['id', 'username', 'profilePicture']
+  },
+  {
+    model: MessageReaction,
+    as: 'reactions',
+    attributes: ['emoji', 'userId'],
+    separate: true
+  },
+  {
+    model: Message,
+    as: 'replyTo',
+    attributes: ['id', 'senderId', 'content', 'kind', 'deletedAt']
+  }
+];
+
+// Edit history is fetched separately; who deleted a message for themselves stays private
+const threadAttributes = { exclude: ['editHistory', 'hiddenFor'] };
+
+// Messages the user has not deleted for themselves
+const visibleTo = (userId) => ({
+  [Op.not]: { hiddenFor: { [Op.contains]: [userId] } }
+});
+
+// Messages strictly older or newer than the cursor message. Ties on createdAt
+// are broken by id so no message is skipped or repeated between pages.
+const beyondCursor = (cursor, direction) => {
+  const op = direction === 'before' ? Op.lt : Op.gt;
+  
+  return {
+    [Op.or]: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+const parsePageSize = (limit, fallback) => Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+
+const parsePage = (page) => Math.max(parseInt(page) || 1, 1);
 
 const messageController = {
   // Send a message
   sendMessage: async (req, res) => {
     try {
       const senderId = req.userId;
-      const { receiverId, content, conversationId } = req.body;
-      
-      let conversation;
+      const { receiverId, content, conversationId, tradeId, listingId, kind, payload, replyToId } = req.body;
       
-      // If conversationId is provided, use it
-      if (conversationId) {
-        conversation = await Conversation.findByPk(conversationId);
-        
-        if (!conversation) {
-          return res.status(404).json({ message: 'Conversation not found' });
-        }
-        
-        // Check if user is part of the conversation
-        if (conversation.user1Id !== senderId && conversation.user2Id !== senderId) {
-          return res.status(403).json({ message: 'Unauthorized: You are not part of this conversation' });
-        }
-      } else if (receiverId) {
-        // Find existing conversation or create new one
-        conversation = await Conversation.findOne({
-          where: {
-            [Op.or]: [
-              { user1Id: senderId, user2Id: receiverId },
-              { user1Id: receiverId, user2Id: senderId }
-            ]
-          }
-        });
-        
-        if (!conversation) {
-          // Create new conversation
-          conversation = await Conversation.create({
-            user1Id: senderId,
-            user2Id: receiverId
-          });
-        }
-      } else {
-        return res.status(400).json({ message: 'Either conversationId or receiverId is required' });
-      }
-      
-      // Process media if any
-      let mediaUrl = null;
-      let mediaType = null;
-
-      if (req.file) {
-        // Store file locally or use another cloud storage service
-        const fileName = `${Date.now()}_${req.file.originalname}`;
-        // For demo purposes, we'll use a placeholder URL
-        mediaUrl = `/uploads/messages/${fileName}`;
-        mediaType = req.file.mimetype.startsWith('image/') ? 'image' : 'video';
-      }
-      
-      // Create message
-      const newMessage = await Message.create({
-        conversationId: conversation.id,
-        senderId,
+      // Persists the message and pushes it to the conversation room
+      const { message } = await messageService.sendMessage(senderId, {
+        conversationId,
+        receiverId,
+        tradeId,
+        listingId,
         content,
-        mediaUrl,
-        mediaType,
-        isRead: false
+        kind,
+        payload: parsePayload(payload),
+        replyToId,
+        file: req.file
       });
       
-      // Get sender info
-      const sender = await User.findByPk(senderId, {
-        attributes: ['id', 'username', 'profilePicture']
-      });
-      
-      // Combine message with sender info
-      const messageWithSender = {
-        ...newMessage.toJSON(),
-        sender
-      };
-      
       return res.status(201).json({
         message: 'Message sent successfully',
-        data: messageWithSender
+        data: message
       });
     } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
       console.error('Send message error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
   
+  // Open (or find) the conversation about a trade, a listing inquiry or with a user
+  openConversation: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { tradeId, listingId, receiverId } = req.body;
+      
+      const conversation = await messageService.resolveConversation(userId, { tradeId, listingId, receiverId });
+      
+      return res.status(200).json({ conversation });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Open conversation error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Accept or decline an offer, counter-offer or meetup proposal from the thread
+  respondToMessage: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { messageId } = req.params;
+      const { action } = req.body;
+      
+      const message = await messageService.respondToMessage(userId, messageId, action);
+      
+      return res.status(200).json({
+        message: action === 'accept' ? 'Accepted' : 'Declined',
+        data: message
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Respond to message error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
   // Get user conversations
   getUserConversations: async (req, res) => {
     try {
       const userId = req.userId;
       
-      // Find all conversations where user is either user1 or user2
+      // Direct conversations and group threads the user belongs to
+      const conversationIds = await messageService.getUserConversationIds(userId);
+      
       const conversations = await Conversation.findAll({
-        where: {
-          [Op.or]: [
-            { user1Id: userId },
-            { user2Id: userId }
-          ]
-        },
+        where: { id: { [Op.in]: conversationIds } },
         include: [
           {
             model: User,
@@ -112,6 +165,31 @@ const messageController = {
             as: 'user2',
             attributes: ['id', 'username', 'profilePicture']
           },
+          {
+            model: ConversationParticipant,
+            as: 'participants',
+            attributes: ['userId'],
+            separate: true,
+            include: [{
+              model: User,
+              as: 'user',
+              attributes: ['id', 'username', 'profilePicture']
+            }]
+          },
+          {
+            model: Trade,
+            as: 'trade',
+            attributes: ['id', 'status', 'type', 'tradeCoinAmount', 'proposerId', 'receiverId', 'meetupLocation', 'meetupTime'],
+            include: [
+              { model: Listing, as: 'proposerListing', attributes: listingSummaryAttributes },
+              { model: Listing, as: 'receiverListing', attributes: listingSummaryAttributes }
+            ]
+          },
+          {
+            model: Listing,
+            as: 'listing',
+            attributes: [...listingSummaryAttributes, 'isAvailable']
+          },
           {
             model: Message,
             limit: 1,
@@ -126,13 +204,16 @@ const messageController = {
         order: [['updatedAt', 'DESC']]
       });
       
-      // Get unread message count for each conversation
+      // Get unread message count for each conversation, leaving out messages the
+      // user can no longer see: deleted for everyone or deleted for themselves
       const conversationsWithUnreadCount = await Promise.all(conversations.map(async (conversation) => {
         const unreadCount = await Message.count({
           where: {
             conversationId: conversation.id,
             senderId: { [Op.ne]: userId },
-            isRead: false
+            isRead: false,
+            deletedAt: null,
+            ...visibleTo(userId)
           }
         });
         
@@ -154,56 +235,122 @@ const messageController = {
     try {
       const userId = req.userId;
       const { conversationId } = req.params;
-      const { page = 1, limit = 20 } = req.query;
+      const { before, after, limit } = req.query;
+      const pageSize = parsePageSize(limit, 20);
       
-      // Find conversation
-      const conversation = await Conversation.findByPk(conversationId);
+      if (before && after) {
+        return res.status(400).json({ message: 'Use either before or after, not both' });
+      }
+      
+      // Only members may read a conversation
+      await messageService.getMemberConversation(conversationId, userId);
+      
+      const where = { conversationId, ...visibleTo(userId) };
+      const cursorId = before || after;
+      
+      if (cursorId) {
+        const cursor = isUuid(cursorId) && await Message.findOne({
+          where: { id: cursorId, conversationId },
+          attributes: ['id', 'createdAt']
+        });
+        
+        if (!cursor) {
+          return res.status(400).json({ message: 'Cursor message not found in this conversation' });
+        }
+        
+        Object.assign(where, beyondCursor(cursor, before ? 'before' : 'after'));
+      }
+      
+      // Newer pages are read forwards from the cursor; one extra row tells whether there are more
+      const direction = after ? 'ASC' : 'DESC';
+      const rows = await Message.findAll({
+        where,
+        attributes: threadAttributes,
+        include: threadIncludes,
+        limit: pageSize + 1,
+        order: [['createdAt', direction], ['id', direction]]
+      });
+      
+      const hasMore = rows.length > pageSize;
+      const messages = rows.slice(0, pageSize);
+      
+      // Pages are always newest first
+      if (after) messages.reverse();
+      
+      // Fetching a page delivers it; reading is marked separately
+      await messageService.markDelivered(userId, messages.map(message => message.id));
+      
+      return res.status(200).json({
+        messages,
+        hasMore,
+        cursors: {
+          before: messages.length > 0 ? messages[messages.length - 1].id : null,
+          after: messages.length > 0 ? messages[0].id : null
+        }
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Get conversation messages error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Full-text search over the messages in the user's conversations, best matches first
+  searchMessages: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { q, conversationId, page, limit } = req.query;
+      const currentPage = parsePage(page);
+      const pageSize = parsePageSize(limit, 20);
       
-      if (!conversation) {
-        return res.status(404).json({ message: 'Conversation not found' });
+      if (!q || !q.trim()) {
+        return res.status(400).json({ message: 'Search query (q) is required' });
       }
       
-      // Check if user is part of the conversation
-      if (conversation.user1Id !== userId && conversation.user2Id !== userId) {
-        return res.status(403).json({ message: 'Unauthorized: You are not part of this conversation' });
+      let conversationIds = await messageService.getUserConversationIds(userId);
+      
+      if (conversationId) {
+        conversationIds = conversationIds.filter(id => id === conversationId);
       }
       
-      // Calculate pagination
-      const offset = (page - 1) * limit;
+      const query = sequelize.fn('plainto_tsquery', 'simple', q.trim());
+      const document = sequelize.fn('to_tsvector', 'simple', sequelize.col('Message.content'));
       
-      // Get messages
-      const { count, rows: messages } = await Message.findAndCountAll({
-        where: { conversationId },
+      const rows = await Message.findAll({
+        where: {
+          conversationId: { [Op.in]: conversationIds },
+          deletedAt: null,
+          ...visibleTo(userId),
+          [Op.and]: [sequelize.where(document, '@@', query)]
+        },
+        attributes: [
+          'id',
+          'conversationId',
+          'senderId',
+          'kind',
+          'createdAt',
+          [sequelize.fn('ts_headline', 'simple', sequelize.col('Message.content'), query, HEADLINE_OPTIONS), 'snippet']
+        ],
         include: [{
           model: User,
           as: 'sender',
           attributes: ['id', 'username', 'profilePicture']
         }],
-        limit: parseInt(limit),
-        offset: offset,
-        order: [['createdAt', 'DESC']]
+        order: [[sequelize.fn('ts_rank', document, query), 'DESC'], ['createdAt', 'DESC']],
+        limit: pageSize + 1,
+        offset: (currentPage - 1) * pageSize
       });
       
-      // Mark messages as read
-      await Message.update(
-        { isRead: true },
-        {
-          where: {
-            conversationId,
-            senderId: { [Op.ne]: userId },
-            isRead: false
-          }
-        }
-      );
-      
       return res.status(200).json({
-        messages,
-        totalPages: Math.ceil(count / limit),
-        currentPage: parseInt(page),
-        totalMessages: count
+        results: rows.slice(0, pageSize),
+        hasMore: rows.length > pageSize,
+        currentPage
       });
     } catch (error) {
-      console.error('Get conversation messages error:', error);
+      console.error('Search messages error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
@@ -214,33 +361,172 @@ const messageController = {
       const userId = req.userId;
       const { messageId } = req.params;
       
-      // Find message
-      const message = await Message.findByPk(messageId, {
-        include: [{ model: Conversation }]
+      const messageIds = await messageService.markMessageRead(userId, messageId);
+      
+      if (messageIds.length === 0) {
+        return res.status(200).json({ message: 'Message is already marked as read' });
+      }
+      
+      return res.status(200).json({ message: 'Message marked as read' });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Mark message as read error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Mark every received message in a conversation as read, optionally up to a timestamp
+  markConversationAsRead: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { conversationId } = req.params;
+      const { before } = req.body;
+      
+      const beforeDate = before ? new Date(before) : null;
+      
+      if (beforeDate && isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ message: 'before must be a valid timestamp' });
+      }
+      
+      const messageIds = await messageService.markConversationRead(userId, conversationId, { before: beforeDate });
+      
+      return res.status(200).json({
+        message: 'Conversation marked as read',
+        messageIds
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Mark conversation as read error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Edit one of your own messages
+  editMessage: async (req, res) => {
+    try {
+      const message = await messageService.editMessage(req.userId, req.params.messageId, req.body.content);
+      
+      return res.status(200).json({
+        message: 'Message edited',
+        data: message
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Edit message error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the previous versions of an edited message
+  getMessageHistory: async (req, res) => {
+    try {
+      const message = await messageService.getMemberMessage(req.params.messageId, req.userId);
+      
+      return res.status(200).json({
+        messageId: message.id,
+        content: message.content,
+        editedAt: message.editedAt,
+        history: message.editHistory || []
       });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Get message history error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Delete a message for yourself (scope=self) or, if you sent it, for everyone (scope=everyone)
+  deleteMessage: async (req, res) => {
+    try {
+      const { scope = 'self' } = req.query;
+      
+      const deleted = await messageService.deleteMessage(req.userId, req.params.messageId, scope);
       
-      if (!message) {
-        return res.status(404).json({ message: 'Message not found' });
+      return res.status(200).json({
+        message: 'Message deleted',
+        ...deleted
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
       }
       
-      // Check if user is part of the conversation
-      const conversation = message.Conversation;
-      if (conversation.user1Id !== userId && conversation.user2Id !== userId) {
-        return res.status(403).json({ message: 'Unauthorized: You are not part of this conversation' });
+      console.error('Delete message error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // React to a message with an emoji
+  addReaction: async (req, res) => {
+    try {
+      const reaction = await messageService.addReaction(req.userId, req.params.messageId, req.body.emoji);
+      
+      return res.status(201).json({
+        message: 'Reaction added',
+        reaction
+      });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
       }
       
-      // Check if message is already read
-      if (message.isRead) {
-        return res.status(200).json({ message: 'Message is already marked as read' });
+      console.error('Add reaction error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Remove your emoji reaction from a message
+  removeReaction: async (req, res) => {
+    try {
+      const removed = await messageService.removeReaction(req.userId, req.params.messageId, req.params.emoji);
+      
+      if (!removed) {
+        return res.status(404).json({ message: 'Reaction not found' });
       }
       
-      // Mark message as read
-      message.isRead = true;
-      await message.save();
+      return res.status(200).json({ message: 'Reaction removed' });
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       
-      return res.status(200).json({ message: 'Message marked as read' });
+      console.error('Remove reaction error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the replies to a message, oldest first
+  getMessageReplies: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const message = await messageService.getMemberMessage(req.params.messageId, userId);
+      
+      const replies = await Message.findAll({
+        where: { replyToId: message.id, ...visibleTo(userId) },
+        attributes: threadAttributes,
+        include: threadIncludes,
+        order: [['createdAt', 'ASC']]
+      });
+      
+      return res.status(200).json({ messageId: message.id, replies });
     } catch (error) {
-      console.error('Mark message as read error:', error);
+      if (error instanceof messageService.MessageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Get message replies error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
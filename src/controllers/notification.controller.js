@@ -0,0 +1,175 @@
+const { User, Notification } = require('../models');
+const notificationService = require('../services/notifications');
+
+const notificationController = {
+  // Get the user's notification inbox
+  getNotifications: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { page = 1, limit = 20, unreadOnly } = req.query;
+      
+      const offset = (page - 1) * limit;
+      const where = { userId };
+      
+      if (unreadOnly === 'true') {
+        where.readAt = null;
+      }
+      
+      const { count, rows: notifications } = await Notification.findAndCountAll({
+        where,
+        limit: parseInt(limit),
+        offset,
+        order: [['createdAt', 'DESC']]
+      });
+      
+      const unreadCount = await Notification.count({ where: { userId, readAt: null } });
+      
+      return res.status(200).json({
+        notifications,
+        unreadCount,
+        totalPages: Math.ceil(count / limit),
+        currentPage: parseInt(page),
+        totalNotifications: count
+      });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Mark one notification as read
+  markAsRead: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      
+      const notification = await Notification.findOne({ where: { id, userId } });
+      
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+      
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+      
+      return res.status(200).json({ message: 'Notification marked as read', notification });
+    } catch (error) {
+      console.error('Mark notification as read error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Mark every notification as read
+  markAllAsRead: async (req, res) => {
+    try {
+      const userId = req.userId;
+      
+      const [updated] = await Notification.update(
+        { readAt: new Date() },
+        { where: { userId, readAt: null } }
+      );
+      
+      return res.status(200).json({ message: 'All notifications marked as read', updated });
+    } catch (error) {
+      console.error('Mark all notifications as read error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Register a device token for push notifications
+  registerDevice: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { token, platform } = req.body;
+      
+      if (!token) {
+        return res.status(400).json({ message: 'Device token is required' });
+      }
+      
+      if (platform && !['android', 'ios', 'web'].includes(platform)) {
+        return res.status(400).json({ message: 'Platform must be android, ios or web' });
+      }
+      
+      const device = await notificationService.registerDevice(userId, token, platform);
+      
+      return res.status(201).json({ message: 'Device registered', device });
+    } catch (error) {
+      console.error('Register device error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Stop pushing to a device (e.g. on logout)
+  unregisterDevice: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { token } = req.params;
+      
+      const removed = await notificationService.unregisterDevice(userId, token);
+      
+      if (!removed) {
+        return res.status(404).json({ message: 'Device not found' });
+      }
+      
+      return res.status(200).json({ message: 'Device unregistered' });
+    } catch (error) {
+      console.error('Unregister device error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get notification preferences
+  getPreferences: async (req, res) => {
+    try {
+      const user = await User.findByPk(req.userId, { attributes: ['id', 'notificationPreferences'] });
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      return res.status(200).json({ preferences: notificationService.getPreferences(user) });
+    } catch (error) {
+      console.error('Get notification preferences error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Update push categories and quiet hours ({ start, end, timezone } or null to disable)
+  updatePreferences: async (req, res) => {
+    try {
+      const { push, quietHours } = req.body;
+      
+      const validationError = notificationService.validatePreferences({ push, quietHours });
+      
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+      
+      const user = await User.findByPk(req.userId);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const current = notificationService.getPreferences(user);
+      
+      user.notificationPreferences = {
+        push: { ...current.push, ...(push || {}) },
+        quietHours: quietHours === undefined ? current.quietHours : quietHours
+      };
+      await user.save();
+      
+      return res.status(200).json({
+        message: 'Notification preferences updated',
+        preferences: notificationService.getPreferences(user)
+      });
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = notificationController;
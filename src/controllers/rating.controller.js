@@ -1,6 +1,8 @@
 const { Rating, User, Trade } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { isTradeParticipant } = require('../utils/trade.utils');
+const eventStream = require('../services/event-stream.service');
 
 const ratingController = {
   // Rate a user
@@ -34,8 +36,8 @@ const ratingController = {
         }
         
         // Check if both users were part of the trade
-        const userInTrade = trade.proposerId === ratedUserId || trade.receiverId === ratedUserId;
-        const raterInTrade = trade.proposerId === raterId || trade.receiverId === raterId;
+        const userInTrade = isTradeParticipant(trade, ratedUserId);
+        const raterInTrade = isTradeParticipant(trade, raterId);
         
         if (!userInTrade || !raterInTrade) {
           await transaction.rollback();
@@ -81,9 +83,9 @@ const ratingController = {
         return res.status(404).json({ message: 'User not found' });
       }
       
-      // Calculate new barter score (average of all ratings)
+      // Calculate new barter score (average of all visible ratings)
       const ratings = await Rating.findAll({
-        where: { ratedUserId },
+        where: { ratedUserId, isHidden: false },
         attributes: ['score'],
         transaction
       });
@@ -105,6 +107,8 @@ const ratingController = {
         await ratedUser.save({ transaction });
       }
       
+      await eventStream.publish([ratedUserId], 'rating:new', { rating: newRating.toJSON() }, transaction);
+      
       await transaction.commit();
       
       return res.status(201).json({
@@ -129,7 +133,7 @@ const ratingController = {
       
       // Get ratings
       const { count, rows: ratings } = await Rating.findAndCountAll({
-        where: { ratedUserId: userId },
+        where: { ratedUserId: userId, isHidden: false },
         include: [{
           model: User,
           as: 'rater',
@@ -165,11 +169,11 @@ const ratingController = {
       }
       
       // Get rating stats
-      const totalRatings = await Rating.count({ where: { ratedUserId: userId } });
+      const totalRatings = await Rating.count({ where: { ratedUserId: userId, isHidden: false } });
       
       // Get rating distribution
       const ratingDistribution = await Rating.findAll({
-        where: { ratedUserId: userId },
+        where: { ratedUserId: userId, isHidden: false },
         attributes: [
           'score',
           [sequelize.fn('COUNT', sequelize.col('score')), 'count']
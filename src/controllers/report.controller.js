@@ -0,0 +1,184 @@
+const { Report, User, Listing, Rating } = require('../models');
+const { sequelize } = require('../config/database');
+const messageService = require('../services/message.service');
+const blockService = require('../services/block.service');
+const moderationService = require('../services/moderation.service');
+
+const TARGET_TYPES = ['user', 'message', 'listing', 'rating'];
+const REASONS = ['spam', 'harassment', 'scam', 'inappropriate', 'other'];
+
+const userAttributes = ['id', 'username', 'profilePicture'];
+
+// Find the reported user, message, listing or rating. Returns who is responsible
+// for it and a copy of the content, or an error status and message.
+const findReportTarget = async (targetType, targetId, reporterId) => {
+  if (targetType === 'user') {
+    const user = await User.findByPk(targetId, { attributes: ['id', 'username', 'profilePicture'] });
+    
+    if (!user) {
+      return { status: 404, message: 'User not found' };
+    }
+    
+    return { reportedUserId: user.id, snapshot: user.toJSON() };
+  }
+  
+  if (targetType === 'listing') {
+    const listing = await Listing.findByPk(targetId);
+    
+    if (!listing || listing.moderationStatus !== 'visible' || await blockService.isBlockedBetween(reporterId, listing.userId)) {
+      return { status: 404, message: 'Listing not found' };
+    }
+    
+    return {
+      reportedUserId: listing.userId,
+      snapshot: {
+        title: listing.title,
+        description: listing.description,
+        category: listing.category,
+        images: listing.images
+      }
+    };
+  }
+  
+  if (targetType === 'rating') {
+    const rating = await Rating.findByPk(targetId);
+    
+    if (!rating || rating.isHidden) {
+      return { status: 404, message: 'Rating not found' };
+    }
+    
+    // The rater is responsible for a rating
+    return {
+      reportedUserId: rating.raterId,
+      snapshot: {
+        ratedUserId: rating.ratedUserId,
+        score: rating.score,
+        comment: rating.comment,
+        ratedAt: rating.createdAt
+      }
+    };
+  }
+  
+  try {
+    // Only messages the reporter can see may be reported
+    const message = await messageService.getMemberMessage(targetId, reporterId);
+    
+    return {
+      reportedUserId: message.senderId,
+      snapshot: {
+        conversationId: message.conversationId,
+        kind: message.kind,
+        content: message.content,
+        mediaUrl: message.mediaUrl,
+        sentAt: message.createdAt
+      }
+    };
+  } catch (error) {
+    if (error instanceof messageService.MessageError) {
+      return { status: error.status, message: error.message };
+    }
+    
+    throw error;
+  }
+};
+
+const reportController = {
+  // Report a user, message, listing or rating to the moderators
+  createReport: async (req, res) => {
+    try {
+      const reporterId = req.userId;
+      const { targetType, targetId, reason, details } = req.body;
+      
+      if (!TARGET_TYPES.includes(targetType) || !targetId) {
+        return res.status(400).json({ message: `targetId and a targetType of ${TARGET_TYPES.join(', ')} are required` });
+      }
+      
+      if (!REASONS.includes(reason)) {
+        return res.status(400).json({ message: `Reason must be one of: ${REASONS.join(', ')}` });
+      }
+      
+      const { reportedUserId, snapshot, status, message } = await findReportTarget(targetType, targetId, reporterId);
+      
+      if (!reportedUserId) {
+        return res.status(status).json({ message });
+      }
+      
+      if (reportedUserId === reporterId) {
+        return res.status(400).json({ message: 'You cannot report yourself' });
+      }
+      
+      const existingReport = await Report.findOne({
+        where: { reporterId, targetType, targetId, status: 'open' }
+      });
+      
+      if (existingReport) {
+        return res.status(409).json({ message: 'You have already reported this' });
+      }
+      
+      const report = await Report.create({
+        reporterId,
+        reportedUserId,
+        targetType,
+        targetId,
+        reason,
+        details: details || null,
+        snapshot
+      });
+      
+      return res.status(201).json({
+        message: 'Report submitted. A moderator will review it',
+        report
+      });
+    } catch (error) {
+      console.error('Create report error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Moderation queue of reports, oldest first. The same queue as the staff console's,
+  // so a report closed in either place leaves both.
+  getReports: async (req, res) => {
+    try {
+      const queue = await moderationService.getReports(req.query, { reportedUserAttributes: userAttributes });
+      
+      return res.status(200).json(queue);
+    } catch (error) {
+      if (error instanceof moderationService.ModerationError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Get reports error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Close a report as reviewed (action taken) or dismissed
+  reviewReport: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const { status, note } = req.body;
+      
+      // Logged in the moderation log like reviews from the staff console
+      const { report } = await moderationService.reviewReport({ userId: req.userId }, req.params.id, { status, note }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Report updated',
+        report
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof moderationService.ModerationError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Review report error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = reportController;
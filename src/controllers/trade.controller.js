@@ -1,54 +1,77 @@
-const { Trade, Listing, User } = require('../models');
+const { Trade, TradeParticipant, TradeEvent, Listing, User } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const {
+  validateTradeChain,
+  isTradeParticipant
+} = require('../utils/trade.utils');
+const { findTradeCycles } = require('../services/trade-cycle.service');
+const { rankMatches } = require('../services/match-scoring.service');
+const coinLedger = require('../services/coin-ledger.service');
+const tradeService = require('../services/trade.service');
+const escrowService = require('../services/escrow.service');
+const tradeStateMachine = require('../services/trade-state-machine');
+const tradeNegotiation = require('../services/trade-negotiation.service');
+const eventStream = require('../services/event-stream.service');
+const messageService = require('../services/message.service');
+const blockService = require('../services/block.service');
+const { getCoordinates, boundingBox, boxCondition } = require('../utils/geo.utils');
+
+// Most recent candidate listings scored per match search
+const MATCH_CANDIDATE_LIMIT = 500;
+
+// Errors raised by trade rules rather than by failures
+const isExpectedTradeError = (error) => (
+  error instanceof tradeStateMachine.TradeTransitionError ||
+  error instanceof coinLedger.InsufficientCoinsError
+);
+
+const respondToTradeError = (res, error) => (
+  res.status(error.status || 400).json({ message: error.message, ...error.details })
+);
+
+// Owners' coordinates are only used for scoring; matches carry the rounded distance instead
+const withoutOwnerCoordinates = (listing) => {
+  const json = listing.toJSON();
+  
+  if (json.owner) {
+    delete json.owner.latitude;
+    delete json.owner.longitude;
+  }
+  
+  return json;
+};
 
 const tradeController = {
   // Propose a new trade
   proposeTrade: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
     try {
       const proposerId = req.userId;
-      const { receiverId, proposerListingId, receiverListingId, tradeCoinAmount, notes } = req.body;
-      
-      // Validate listings
-      const proposerListing = await Listing.findByPk(proposerListingId);
-      const receiverListing = await Listing.findByPk(receiverListingId);
-      
-      if (!proposerListing || !receiverListing) {
-        return res.status(404).json({ message: 'One or both listings not found' });
-      }
-      
-      // Check if proposer owns their listing
-      if (proposerListing.userId !== proposerId) {
-        return res.status(403).json({ message: 'You do not own the proposer listing' });
-      }
-      
-      // Check if receiver owns their listing
-      if (receiverListing.userId !== receiverId) {
-        return res.status(403).json({ message: 'Receiver does not own the receiver listing' });
-      }
-      
-      // Check if both listings are available
-      if (!proposerListing.isAvailable || !receiverListing.isAvailable) {
-        return res.status(400).json({ message: 'One or both listings are not available for trade' });
-      }
+      const { receiverId, proposerListingId, receiverListingId, tradeCoinAmount = 0, notes } = req.body;
       
-      // Create trade
-      const newTrade = await Trade.create({
-        proposerId,
+      const newTrade = await tradeNegotiation.proposeTrade(proposerId, {
         receiverId,
         proposerListingId,
         receiverListingId,
-        status: 'proposed',
-        type: 'direct',
-        tradeCoinAmount: tradeCoinAmount || 0,
+        tradeCoinAmount,
         notes
-      });
+      }, transaction);
+      
+      await transaction.commit();
       
       return res.status(201).json({
         message: 'Trade proposed successfully',
         trade: newTrade
       });
     } catch (error) {
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
       console.error('Propose trade error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -70,16 +93,27 @@ const tradeController = {
         whereConditions.status = status;
       }
       
+      // Multi-party trades the user takes part in
+      const participations = await TradeParticipant.findAll({
+        where: { userId },
+        attributes: ['tradeId']
+      });
+      const chainTradeIds = participations.map(participation => participation.tradeId);
+      
       // Filter by user role (proposer or receiver)
       if (role === 'proposer') {
         whereConditions.proposerId = userId;
       } else if (role === 'receiver') {
-        whereConditions.receiverId = userId;
+        whereConditions[Op.or] = [
+          { receiverId: userId },
+          { id: { [Op.in]: chainTradeIds }, proposerId: { [Op.ne]: userId } }
+        ];
       } else {
-        // Default: get all trades where user is either proposer or receiver
+        // Default: get all trades where user is the proposer, receiver or a chain participant
         whereConditions[Op.or] = [
           { proposerId: userId },
-          { receiverId: userId }
+          { receiverId: userId },
+          { id: { [Op.in]: chainTradeIds } }
         ];
       }
       
@@ -104,8 +138,18 @@ const tradeController = {
           {
             model: Listing,
             as: 'receiverListing'
+          },
+          {
+            model: TradeParticipant,
+            as: 'participants',
+            include: [{
+              model: User,
+              as: 'user',
+              attributes: ['id', 'username', 'profilePicture', 'barterScore']
+            }]
           }
         ],
+        distinct: true,
         limit: parseInt(limit),
         offset: offset,
         order: [['createdAt', 'DESC']]
@@ -148,8 +192,29 @@ const tradeController = {
           {
             model: Listing,
             as: 'receiverListing'
+          },
+          {
+            model: TradeParticipant,
+            as: 'participants',
+            include: [
+              {
+                model: User,
+                as: 'user',
+                attributes: ['id', 'username', 'profilePicture', 'barterScore', 'isVerified']
+              },
+              {
+                model: Listing,
+                as: 'listing'
+              }
+            ]
+          },
+          {
+            model: Trade,
+            as: 'counterOffers',
+            attributes: ['id', 'status', 'counteredById', 'tradeCoinAmount', 'createdAt']
           }
-        ]
+        ],
+        order: [[{ model: TradeParticipant, as: 'participants' }, 'position', 'ASC']]
       });
       
       if (!trade) {
@@ -157,7 +222,7 @@ const tradeController = {
       }
       
       // Check if user is part of the trade
-      if (trade.proposerId !== userId && trade.receiverId !== userId) {
+      if (!isTradeParticipant(trade, userId)) {
         return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
       }
       
@@ -177,11 +242,9 @@ const tradeController = {
       const { id } = req.params;
       const { meetupLocation, meetupTime, isEscrow } = req.body;
       
+      // Lock the trade so concurrent acceptances are applied one at a time
       const trade = await Trade.findByPk(id, {
-        include: [
-          { model: Listing, as: 'proposerListing' },
-          { model: Listing, as: 'receiverListing' }
-        ],
+        lock: transaction.LOCK.UPDATE,
         transaction
       });
       
@@ -190,54 +253,33 @@ const tradeController = {
         return res.status(404).json({ message: 'Trade not found' });
       }
       
-      // Check if user is the receiver
-      if (trade.receiverId !== userId) {
-        await transaction.rollback();
-        return res.status(403).json({ message: 'Unauthorized: Only the receiver can accept the trade' });
-      }
-      
-      // Check if trade is in proposed status
-      if (trade.status !== 'proposed') {
-        await transaction.rollback();
-        return res.status(400).json({ message: `Trade cannot be accepted because it is ${trade.status}` });
-      }
-      
-      // Update trade status
-      trade.status = 'accepted';
-      trade.meetupLocation = meetupLocation;
-      trade.meetupTime = meetupTime;
-      trade.isEscrow = isEscrow || false;
-      
-      if (isEscrow) {
-        // Set escrow release date (e.g., 7 days from now)
-        const releaseDate = new Date();
-        releaseDate.setDate(releaseDate.getDate() + 7);
-        trade.escrowReleaseDate = releaseDate;
-      }
-      
-      await trade.save({ transaction });
-      
-      // Mark listings as unavailable
-      await Listing.update(
-        { isAvailable: false },
-        { 
-          where: { 
-            id: { 
-              [Op.in]: [trade.proposerListingId, trade.receiverListingId] 
-            } 
-          },
-          transaction 
-        }
-      );
+      const { accepted, pendingParticipants } = await tradeNegotiation.acceptTrade(trade, userId, {
+        meetupLocation,
+        meetupTime,
+        isEscrow
+      }, transaction);
       
       await transaction.commit();
       
+      if (!accepted) {
+        return res.status(200).json({
+          message: 'Trade acceptance recorded. Waiting for other participants',
+          trade,
+          pendingParticipants
+        });
+      }
+      
       return res.status(200).json({
         message: 'Trade accepted successfully',
         trade
       });
     } catch (error) {
       await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
       console.error('Accept trade error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -245,39 +287,136 @@ const tradeController = {
   
   // Reject trade
   rejectTrade: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
     try {
       const userId = req.userId;
       const { id } = req.params;
       const { reason } = req.body;
       
-      const trade = await Trade.findByPk(id);
+      const trade = await Trade.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
       
       if (!trade) {
+        await transaction.rollback();
         return res.status(404).json({ message: 'Trade not found' });
       }
       
-      // Check if user is part of the trade
-      if (trade.proposerId !== userId && trade.receiverId !== userId) {
-        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
+      await tradeNegotiation.rejectTrade(trade, userId, { reason }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Trade rejected successfully',
+        trade
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Reject trade error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Cancel trade
+  cancelTrade: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { reason } = req.body;
+      
+      const trade = await Trade.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!trade) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Trade not found' });
       }
       
-      // Check if trade can be rejected
-      if (trade.status !== 'proposed') {
-        return res.status(400).json({ message: `Trade cannot be rejected because it is ${trade.status}` });
+      await tradeStateMachine.assertTransition(trade, 'cancel', userId);
+      
+      const wasAccepted = trade.status === 'accepted';
+      
+      // Hand back anything held in escrow
+      if (trade.escrowStatus === 'held') {
+        escrowService.refund(trade, userId, 'Trade cancelled');
       }
       
       // Update trade status
-      trade.status = 'rejected';
-      trade.notes = trade.notes ? `${trade.notes}\nRejection reason: ${reason}` : `Rejection reason: ${reason}`;
+      await tradeStateMachine.transition(trade, 'cancel', { actorId: userId, reason }, transaction);
+      
+      // Release reserved coins, and listings locked by acceptance
+      await tradeService.releaseTradeHolds(trade, { relistItems: wasAccepted }, transaction);
       
-      await trade.save();
+      await transaction.commit();
       
       return res.status(200).json({
-        message: 'Trade rejected successfully',
+        message: 'Trade cancelled successfully',
         trade
       });
     } catch (error) {
-      console.error('Reject trade error:', error);
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Cancel trade error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Counter a trade offer with revised listings or coin amount
+  counterTrade: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { proposerListingId, receiverListingId, tradeCoinAmount, notes } = req.body;
+      
+      const trade = await Trade.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!trade) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      const counterOffer = await tradeNegotiation.counterTrade(trade, userId, {
+        proposerListingId,
+        receiverListingId,
+        tradeCoinAmount,
+        notes
+      }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(201).json({
+        message: 'Counter-offer sent successfully',
+        trade: counterOffer,
+        originalTrade: trade
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Counter trade error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
@@ -289,22 +428,10 @@ const tradeController = {
     try {
       const userId = req.userId;
       const { id } = req.params;
+      const { handoverCode } = req.body;
       
       const trade = await Trade.findByPk(id, {
-        include: [
-          { 
-            model: User, 
-            as: 'proposer',
-            attributes: ['id', 'username', 'barterScore', 'tradeCoins']
-          },
-          { 
-            model: User, 
-            as: 'receiver',
-            attributes: ['id', 'username', 'barterScore', 'tradeCoins']
-          },
-          { model: Listing, as: 'proposerListing' },
-          { model: Listing, as: 'receiverListing' }
-        ],
+        lock: transaction.LOCK.UPDATE,
         transaction
       });
       
@@ -313,51 +440,164 @@ const tradeController = {
         return res.status(404).json({ message: 'Trade not found' });
       }
       
-      // Check if user is part of the trade
-      if (trade.proposerId !== userId && trade.receiverId !== userId) {
+      await tradeStateMachine.assertTransition(trade, 'complete', userId);
+      
+      // Escrow trades complete when every party confirms receipt
+      if (trade.isEscrow) {
         await transaction.rollback();
-        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
+        return res.status(400).json({ message: 'Escrow trades are completed by confirming receipt' });
       }
       
-      // Check if trade is in accepted status
-      if (trade.status !== 'accepted') {
+      if ((trade.completionConfirmations || {})[userId] && !handoverCode) {
         await transaction.rollback();
-        return res.status(400).json({ message: `Trade cannot be completed because it is ${trade.status}` });
+        return res.status(400).json({ message: 'You have already confirmed completion' });
       }
       
-      // Update trade status
-      trade.status = 'completed';
-      await trade.save({ transaction });
+      // Every participant must confirm before the trade completes
+      const { completed, pendingUserIds } = await tradeService.confirmCompletion(trade, userId, { handoverCode }, transaction);
+      
+      // Add badges if applicable
+      // This would be more complex in a real app
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: completed ? 'Trade completed successfully' : 'Completion confirmed. Waiting for other participants',
+        pendingUserIds,
+        trade
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Complete trade error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the caller's handover code for an accepted trade
+  getHandoverCode: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
       
-      // Update user barter scores
-      const proposer = trade.proposer;
-      const receiver = trade.receiver;
+      const trade = await Trade.findByPk(id);
       
-      // Increase barter score for both users
-      proposer.barterScore = parseFloat((proposer.barterScore + 0.5).toFixed(2));
-      receiver.barterScore = parseFloat((receiver.barterScore + 0.5).toFixed(2));
+      if (!trade) {
+        return res.status(404).json({ message: 'Trade not found' });
+      }
       
-      // Handle trade coins if any
-      if (trade.tradeCoinAmount > 0) {
-        proposer.tradeCoins -= trade.tradeCoinAmount;
-        receiver.tradeCoins += trade.tradeCoinAmount;
+      // Check if user is part of the trade
+      if (!isTradeParticipant(trade, userId)) {
+        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
       }
       
-      await proposer.save({ transaction });
-      await receiver.save({ transaction });
+      const handoverCode = (trade.handoverCodes || {})[userId];
       
-      // Add badges if applicable
-      // This would be more complex in a real app
+      if (trade.status !== 'accepted' || !handoverCode) {
+        return res.status(400).json({ message: 'Handover codes are only available for accepted trades' });
+      }
+      
+      return res.status(200).json({ tradeId: trade.id, handoverCode });
+    } catch (error) {
+      console.error('Get handover code error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the audit history of a trade
+  getTradeHistory: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      
+      const trade = await Trade.findByPk(id);
+      
+      if (!trade) {
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      // Check if user is part of the trade
+      if (!isTradeParticipant(trade, userId)) {
+        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
+      }
+      
+      const events = await TradeEvent.findAll({
+        where: { tradeId: trade.id },
+        include: [{
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'username', 'profilePicture']
+        }],
+        order: [['createdAt', 'ASC']]
+      });
+      
+      return res.status(200).json({ tradeId: trade.id, status: trade.status, events });
+    } catch (error) {
+      console.error('Get trade history error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Confirm receipt of items in an escrow trade
+  confirmEscrowReceipt: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      
+      const trade = await Trade.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!trade) {
+        await transaction.rollback();
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      // Check if user is part of the trade
+      if (!isTradeParticipant(trade, userId)) {
+        await transaction.rollback();
+        return res.status(403).json({ message: 'Unauthorized: You are not part of this trade' });
+      }
+      
+      if (!trade.isEscrow || trade.status !== 'accepted') {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Trade is not in an active escrow' });
+      }
+      
+      if (trade.escrowStatus === 'frozen') {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Escrow is frozen while a dispute is open' });
+      }
+      
+      if ((trade.escrowConfirmations || {})[userId]) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'You have already confirmed receipt' });
+      }
+      
+      const released = await escrowService.confirmReceipt(trade, userId, transaction);
       
       await transaction.commit();
       
       return res.status(200).json({
-        message: 'Trade completed successfully',
+        message: released ? 'Escrow released and trade completed' : 'Receipt confirmed. Waiting for other participants',
         trade
       });
     } catch (error) {
       await transaction.rollback();
-      console.error('Complete trade error:', error);
+      
+      // Releasing completes the trade through the state machine and moves coins
+      if (isExpectedTradeError(error)) {
+        return respondToTradeError(res, error);
+      }
+      
+      console.error('Confirm escrow receipt error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
@@ -366,10 +606,14 @@ const tradeController = {
   findTradeMatches: async (req, res) => {
     try {
       const userId = req.userId;
-      const { listingId, category, maxDistance, minValue, maxValue } = req.query;
+      const { listingId, category, maxDistance, minValue, maxValue, page = 1, limit = 20 } = { ...req.query, ...req.body };
+      
+      const ownerAttributes = ['id', 'username', 'profilePicture', 'barterScore', 'isVerified', 'tradePreferences', 'latitude', 'longitude'];
       
       // Get the user's listing
-      const userListing = await Listing.findByPk(listingId);
+      const userListing = await Listing.findByPk(listingId, {
+        include: [{ model: User, as: 'owner', attributes: ownerAttributes }]
+      });
       
       if (!userListing) {
         return res.status(404).json({ message: 'Listing not found' });
@@ -380,9 +624,12 @@ const tradeController = {
         return res.status(403).json({ message: 'Unauthorized: You do not own this listing' });
       }
       
+      // Users the matcher has blocked, or been blocked by, are never matched
+      const hiddenUserIds = await blockService.getHiddenUserIds(userId);
+      
       // Build where conditions for potential matches
       const whereConditions = {
-        userId: { [Op.ne]: userId }, // Not the user's own listings
+        userId: { [Op.notIn]: [userId, ...hiddenUserIds] }, // Not the user's own listings
         isAvailable: true
       };
       
@@ -398,24 +645,55 @@ const tradeController = {
         if (maxValue) whereConditions.estimatedValue[Op.lte] = parseFloat(maxValue);
       }
       
-      // Get potential matches
-      const potentialMatches = await Listing.findAll({
+      // Within a distance, only listings (or owners, for listings without a location) inside
+      // its bounding box can match, plus those with no known location at all
+      const center = getCoordinates(userListing);
+      
+      if (parseFloat(maxDistance) > 0 && center) {
+        const box = boundingBox(center, parseFloat(maxDistance));
+        
+        whereConditions[Op.or] = [
+          boxCondition(box),
+          { [Op.and]: [{ latitude: null }, boxCondition(box, { latitude: '$owner.latitude$', longitude: '$owner.longitude$' })] },
+          { latitude: null, '$owner.latitude$': null }
+        ];
+      }
+      
+      // Get candidate listings
+      const candidates = await Listing.findAll({
         where: whereConditions,
         include: [{
           model: User,
           as: 'owner',
-          attributes: ['id', 'username', 'profilePicture', 'barterScore', 'isVerified']
+          attributes: ownerAttributes
         }],
-        limit: 20
+        order: [['createdAt', 'DESC']],
+        limit: MATCH_CANDIDATE_LIMIT,
+        subQuery: false
       });
       
-      // In a real app, you would implement more sophisticated matching algorithms
-      // For example, using location data to calculate distance between users
-      // For now, we'll just return the potential matches
+      // Score and rank every candidate, then paginate the ranked list
+      const rankedMatches = rankMatches(userListing, candidates, { maxDistance });
+      
+      const pageSize = Math.min(parseInt(limit) || 20, 100);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+      const offset = (currentPage - 1) * pageSize;
+      const pageMatches = rankedMatches.slice(offset, offset + pageSize).map(match => ({
+        ...match,
+        listing: withoutOwnerCoordinates(match.listing)
+      }));
       
       return res.status(200).json({
         userListing,
-        potentialMatches
+        // potentialMatches keeps its original shape, listings only, now in ranked order
+        potentialMatches: pageMatches.map(match => match.listing),
+        matches: pageMatches,
+        totalPages: Math.ceil(rankedMatches.length / pageSize),
+        currentPage,
+        // Totals cover the most recent candidateLimit candidates; more may exist when candidatesTruncated
+        totalMatches: rankedMatches.length,
+        candidateLimit: MATCH_CANDIDATE_LIMIT,
+        candidatesTruncated: candidates.length === MATCH_CANDIDATE_LIMIT
       });
     } catch (error) {
       console.error('Find trade matches error:', error);
@@ -423,6 +701,63 @@ const tradeController = {
     }
   },
   
+  // Suggest multi-party trade loops that include one of the user's listings
+  findTradeCycles: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { listingId } = req.params;
+      const { maxParticipants, limit = 10 } = req.query;
+      
+      const ownerAttributes = ['id', 'username', 'profilePicture', 'barterScore', 'isVerified', 'tradePreferences'];
+      
+      // Get the user's listing
+      const userListing = await Listing.findByPk(listingId, {
+        include: [{ model: User, as: 'owner', attributes: ownerAttributes }]
+      });
+      
+      if (!userListing) {
+        return res.status(404).json({ message: 'Listing not found' });
+      }
+      
+      // Check if user owns the listing
+      if (userListing.userId !== userId) {
+        return res.status(403).json({ message: 'Unauthorized: You do not own this listing' });
+      }
+      
+      if (!userListing.isAvailable) {
+        return res.status(400).json({ message: 'Listing is not available for trade' });
+      }
+      
+      const hiddenUserIds = await blockService.getHiddenUserIds(userId);
+      
+      // Every other available listing is a potential link in the loop
+      const candidates = await Listing.findAll({
+        where: {
+          userId: { [Op.notIn]: [userId, ...hiddenUserIds] },
+          isAvailable: true
+        },
+        include: [{ model: User, as: 'owner', attributes: ownerAttributes }],
+        order: [['createdAt', 'DESC']],
+        limit: 1000
+      });
+      
+      const cycles = findTradeCycles({
+        listing: userListing,
+        candidates,
+        maxParticipants,
+        limit: Math.min(parseInt(limit) || 10, 50)
+      });
+      
+      return res.status(200).json({
+        userListing,
+        cycles
+      });
+    } catch (error) {
+      console.error('Find trade cycles error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
   // Propose multi-party trade
   proposeMultiPartyTrade: async (req, res) => {
     const transaction = await sequelize.transaction();
@@ -432,9 +767,10 @@ const tradeController = {
       const { tradeChain } = req.body;
       
       // Validate trade chain
-      if (!tradeChain || !Array.isArray(tradeChain) || tradeChain.length < 3) {
+      const chainError = validateTradeChain(tradeChain);
+      if (chainError) {
         await transaction.rollback();
-        return res.status(400).json({ message: 'Invalid trade chain. Must include at least 3 participants' });
+        return res.status(400).json({ message: chainError });
       }
       
       // Verify that the proposer is part of the chain
@@ -444,10 +780,9 @@ const tradeController = {
         return res.status(400).json({ message: 'Proposer must be part of the trade chain' });
       }
       
-      // Verify that the chain forms a loop (last user gives to first user)
-      if (tradeChain[0].receiverId !== tradeChain[tradeChain.length - 1].userId) {
+      if (await blockService.hasBlocksAmong(tradeChain.map(node => node.userId), transaction)) {
         await transaction.rollback();
-        return res.status(400).json({ message: 'Trade chain must form a complete loop' });
+        return res.status(403).json({ message: 'Some users in this trade chain have blocked each other' });
       }
       
       // Verify all listings exist and are available
@@ -476,14 +811,39 @@ const tradeController = {
         receiverId: null, // No single receiver in multi-party trade
         status: 'proposed',
         type: 'multi-party',
-        tradeChain
+        tradeChain,
+        expiresAt: tradeService.proposalExpiry()
       }, { transaction });
       
+      // Track acceptance per participant; the proposer accepts by proposing
+      const participants = await TradeParticipant.bulkCreate(tradeChain.map((node, position) => ({
+        tradeId: newTrade.id,
+        userId: node.userId,
+        listingId: node.listingId,
+        receiverId: node.receiverId,
+        position,
+        status: node.userId === proposerId ? 'accepted' : 'pending',
+        respondedAt: node.userId === proposerId ? new Date() : null
+      })), { transaction });
+      
+      // Group thread where the whole chain can negotiate
+      const conversation = await messageService.findOrCreateTradeGroup(newTrade, transaction);
+      
+      await tradeStateMachine.recordEvent(newTrade, {
+        type: 'propose',
+        actorId: proposerId,
+        toStatus: newTrade.status
+      }, transaction);
+      
+      await eventStream.publishTradeEvent(newTrade, 'trade:proposed', { actorId: proposerId }, transaction);
+      
       await transaction.commit();
       
       return res.status(201).json({
         message: 'Multi-party trade proposed successfully',
-        trade: newTrade
+        trade: newTrade,
+        participants,
+        conversationId: conversation.id
       });
     } catch (error) {
       await transaction.rollback();
@@ -1,58 +1,136 @@
-const admin = require('firebase-admin');
-const { User, Rating } = require('../models');
+const { User, Rating, UserBlock, UserMute } = require('../models');
 const { sequelize } = require('../config/database');
+const { parseCoordinates } = require('../utils/geo.utils');
+const coinLedger = require('../services/coin-ledger.service');
+const presenceService = require('../services/presence.service');
+const blockService = require('../services/block.service');
+const roleService = require('../services/role.service');
+const identityService = require('../services/identity.service');
+const verificationService = require('../services/verification');
+
+const STARTING_TRADE_COINS = 50;
+
+// What other users may see of a profile: no contact details, exact coordinates,
+// balances, settings, roles or moderation state
+const publicUserAttributes = ['id', 'username', 'displayName', 'profilePicture', 'bio', 'location', 'isVerified', 'barterScore', 'tradePreferences', 'badges', 'createdAt'];
 
 const userController = {
-  // Register a new user
+  // Register the signed-in user. The uid, email, verification state and display name
+  // come from the verified token; only the username and picture are taken from the body.
   register: async (req, res) => {
-    const { uid, email, username, profilePicture } = req.body;
+    const { username, profilePicture } = req.body;
+    const identity = req.auth;
+    const transaction = await sequelize.transaction();
     
     try {
-      // Check if user already exists
-      const existingUser = await User.findOne({ where: { id: uid } });
+      // Check if user already exists (including sign-ins linked to an account)
+      const existingUser = await identityService.findUserByUid(identity.uid, { transaction });
       
       if (existingUser) {
+        await transaction.rollback();
         return res.status(400).json({ message: 'User already exists' });
       }
       
+      if (!identity.email) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Your sign-in has no email address' });
+      }
+      
+      // The same person signing in another way: link to their existing account
+      const emailOwner = await identityService.findUserByEmail(identity.email, transaction);
+      
+      if (emailOwner) {
+        await identityService.linkIdentity(emailOwner, identity, transaction);
+        await identityService.syncProfile(emailOwner, identity, transaction);
+        await transaction.commit();
+        
+        return res.status(200).json({
+          message: 'Sign-in linked to your existing account',
+          linked: true,
+          user: emailOwner
+        });
+      }
+      
+      if (!username) {
+        await transaction.rollback();
+        return res.status(400).json({ message: 'Username is required' });
+      }
+      
       // Create new user
       const newUser = await User.create({
-        id: uid,
-        email,
+        id: identity.uid,
+        email: identity.email,
+        emailVerified: identity.emailVerified,
+        displayName: identity.name,
         username,
-        profilePicture,
+        profilePicture: profilePicture || identity.picture,
         barterScore: 0,
         isVerified: false,
-        tradeCoins: 50 // Starting trade coins
-      });
+        tradeCoins: 0
+      }, { transaction });
+      
+      // Starting trade coins are credited through the ledger
+      await coinLedger.grantSignupBonus(newUser.id, STARTING_TRADE_COINS, transaction);
+      await newUser.reload({ transaction });
+      
+      await transaction.commit();
       
       return res.status(201).json({
         message: 'User registered successfully',
         user: newUser
       });
     } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof identityService.IdentityError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
       console.error('Registration error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
   
-  // Login user (verify Firebase token)
+  // Log in the signed-in user, syncing their profile from the verified token.
+  // A new sign-in whose verified email belongs to an account is linked to it.
   login: async (req, res) => {
+    const identity = req.auth;
+    const transaction = await sequelize.transaction();
+    
     try {
-      const { uid } = req.body;
+      let user = await User.findByPk(req.userId, { transaction });
+      let linked = false;
       
-      // Find user in database
-      const user = await User.findByPk(uid);
+      if (!user && identity.email) {
+        const emailOwner = await identityService.findUserByEmail(identity.email, transaction);
+        
+        if (emailOwner) {
+          user = await identityService.linkIdentity(emailOwner, identity, transaction);
+          linked = true;
+        }
+      }
       
       if (!user) {
+        await transaction.rollback();
         return res.status(404).json({ message: 'User not found' });
       }
       
+      await identityService.syncProfile(user, identity, transaction);
+      
+      await transaction.commit();
+      
       return res.status(200).json({
         message: 'Login successful',
+        linked,
         user
       });
     } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof identityService.IdentityError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
       console.error('Login error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -76,11 +154,49 @@ const userController = {
     }
   },
   
+  // Get trade coin balance and ledger history
+  getCoinHistory: async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { page = 1, limit = 20 } = req.query;
+      
+      const balance = await coinLedger.verifyUserBalance(userId);
+      
+      if (!balance) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const reserved = await coinLedger.getReservedAmount(userId);
+      const { count, rows: transactions } = await coinLedger.getHistory(userId, { page, limit });
+      
+      return res.status(200).json({
+        balance: balance.cachedBalance,
+        reserved,
+        ledgerBalance: balance.ledgerBalance,
+        consistent: balance.consistent,
+        transactions,
+        totalPages: Math.ceil(count / limit),
+        currentPage: parseInt(page),
+        totalTransactions: count
+      });
+    } catch (error) {
+      console.error('Get coin history error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
   // Update user profile
   updateProfile: async (req, res) => {
     try {
       const userId = req.userId;
-      const { username, bio, location, profilePicture, tradePreferences } = req.body;
+      const { username, bio, location, latitude, longitude, profilePicture, tradePreferences } = req.body;
+      
+      // Validate coordinates if provided
+      const hasCoordinates = latitude !== undefined || longitude !== undefined;
+      const coordinates = hasCoordinates && parseCoordinates(latitude, longitude);
+      if (hasCoordinates && !coordinates) {
+        return res.status(400).json({ message: 'Invalid coordinates' });
+      }
       
       const user = await User.findByPk(userId);
       
@@ -92,6 +208,10 @@ const userController = {
       if (username) user.username = username;
       if (bio) user.bio = bio;
       if (location) user.location = location;
+      if (hasCoordinates) {
+        user.latitude = coordinates.latitude;
+        user.longitude = coordinates.longitude;
+      }
       if (profilePicture) user.profilePicture = profilePicture;
       if (tradePreferences) user.tradePreferences = tradePreferences;
       
@@ -107,35 +227,66 @@ const userController = {
     }
   },
   
-  // Verify user (KYC)
-  verifyUser: async (req, res) => {
+  // Submit identity documents for verification (KYC). The user is verified only
+  // once the provider or a reviewer approves the request.
+  submitVerification: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    let request = null;
+    
     try {
-      const userId = req.userId;
-      const { verificationDocuments } = req.body;
+      request = await verificationService.submitRequest(req.userId, {
+        documentType: req.body.documentType,
+        files: req.files
+      }, transaction);
       
-      const user = await User.findByPk(userId);
+      await transaction.commit();
+    } catch (error) {
+      // Before the rollback, which throws again if it was the commit that failed
+      if (request) {
+        await verificationService.removeDocuments(request);
+      }
       
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
+      await transaction.rollback();
+      
+      if (error instanceof verificationService.VerificationError) {
+        return res.status(error.status).json({ message: error.message });
       }
       
-      // In a real app, you would process verification documents here
-      // For demo purposes, we'll just mark the user as verified
-      user.isVerified = true;
+      console.error('Submit verification error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+    
+    try {
+      // Once the request is saved the provider may decide it straight away
+      const checked = await verificationService.checkRequest(request.id) || request;
+      
+      return res.status(201).json({
+        message: checked.status === 'pending' ? 'Verification request submitted' : `Verification ${checked.status}`,
+        verificationRequest: await verificationService.getLatestRequest(req.userId)
+      });
+    } catch (error) {
+      console.error('Submit verification error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the status of the user's latest verification request
+  getVerification: async (req, res) => {
+    try {
+      const user = await User.findByPk(req.userId, { attributes: ['id', 'isVerified'] });
       
-      // Add a verified badge
-      if (!user.badges.includes('Verified User')) {
-        user.badges = [...user.badges, 'Verified User'];
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
       }
       
-      await user.save();
+      const verificationRequest = await verificationService.getLatestRequest(req.userId);
       
       return res.status(200).json({
-        message: 'User verified successfully',
-        user
+        isVerified: user.isVerified,
+        verificationRequest
       });
     } catch (error) {
-      console.error('Verify user error:', error);
+      console.error('Get verification error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
   },
@@ -146,7 +297,7 @@ const userController = {
       const { id } = req.params;
       
       const user = await User.findByPk(id, {
-        attributes: { exclude: ['email'] } // Don't expose email for privacy
+        attributes: publicUserAttributes
       });
       
       if (!user) {
@@ -160,13 +311,34 @@ const userController = {
     }
   },
   
+  // Get a user's online status and last-seen time
+  getUserPresence: async (req, res) => {
+    try {
+      // Users who have blocked each other don't see each other's presence
+      if (await blockService.isBlockedBetween(req.userId, req.params.id)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const presence = await presenceService.getPresence(req.params.id);
+      
+      if (!presence) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      return res.status(200).json(presence);
+    } catch (error) {
+      console.error('Get user presence error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
   // Get user ratings
   getUserRatings: async (req, res) => {
     try {
       const { id } = req.params;
       
       const ratings = await Rating.findAll({
-        where: { ratedUserId: id },
+        where: { ratedUserId: id, isHidden: false },
         include: [{
           model: User,
           as: 'rater',
@@ -179,6 +351,203 @@ const userController = {
       console.error('Get user ratings error:', error);
       return res.status(500).json({ message: 'Server error', error: error.message });
     }
+  },
+  
+  // Get a user's roles and the permissions they grant (requires roles:manage)
+  getUserRoles: async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id, { attributes: ['id', 'username', 'roles'] });
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      return res.status(200).json({
+        userId: user.id,
+        roles: user.roles,
+        permissions: roleService.permissionsFor(user.roles)
+      });
+    } catch (error) {
+      console.error('Get user roles error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Grant a role to a user (requires roles:manage)
+  grantRole: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const user = await roleService.grantRole(req.userId, req.params.id, req.body.role, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Role granted',
+        userId: user.id,
+        roles: user.roles
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof roleService.RoleError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Grant role error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Revoke a role from a user (requires roles:manage). Admins cannot revoke
+  // their own admin role, so there is always someone left to manage roles.
+  revokeRole: async (req, res) => {
+    const { id, role } = req.params;
+    
+    if (id === req.userId && role === 'admin') {
+      return res.status(400).json({ message: 'You cannot revoke your own admin role' });
+    }
+    
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const user = await roleService.revokeRole(req.userId, id, role, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: 'Role revoked',
+        userId: user.id,
+        roles: user.roles
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof roleService.RoleError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Revoke role error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Block a user: neither side can message, trade with or see the other's listings
+  blockUser: async (req, res) => {
+    try {
+      const block = await blockService.block(req.userId, req.params.id);
+      
+      return res.status(200).json({
+        message: 'User blocked',
+        block
+      });
+    } catch (error) {
+      if (error instanceof blockService.BlockError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Block user error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Unblock a user
+  unblockUser: async (req, res) => {
+    try {
+      const removed = await blockService.unblock(req.userId, req.params.id);
+      
+      if (!removed) {
+        return res.status(404).json({ message: 'User is not blocked' });
+      }
+      
+      return res.status(200).json({ message: 'User unblocked' });
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the users the current user has blocked
+  getBlockedUsers: async (req, res) => {
+    try {
+      const blocks = await UserBlock.findAll({
+        where: { blockerId: req.userId },
+        include: [{
+          model: User,
+          as: 'blocked',
+          attributes: ['id', 'username', 'profilePicture']
+        }],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({ blocks });
+    } catch (error) {
+      console.error('Get blocked users error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Mute notifications from a user, optionally for a number of hours
+  muteUser: async (req, res) => {
+    try {
+      const { hours } = req.body;
+      
+      if (hours !== undefined && !(parseFloat(hours) > 0)) {
+        return res.status(400).json({ message: 'hours must be a positive number' });
+      }
+      
+      const until = hours !== undefined ? new Date(Date.now() + parseFloat(hours) * 60 * 60 * 1000) : null;
+      
+      const mute = await blockService.mute(req.userId, req.params.id, until);
+      
+      return res.status(200).json({
+        message: 'User muted',
+        mute
+      });
+    } catch (error) {
+      if (error instanceof blockService.BlockError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Mute user error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Unmute a user
+  unmuteUser: async (req, res) => {
+    try {
+      const removed = await blockService.unmute(req.userId, req.params.id);
+      
+      if (!removed) {
+        return res.status(404).json({ message: 'User is not muted' });
+      }
+      
+      return res.status(200).json({ message: 'User unmuted' });
+    } catch (error) {
+      console.error('Unmute user error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Get the users the current user has muted
+  getMutedUsers: async (req, res) => {
+    try {
+      const mutes = await UserMute.findAll({
+        where: { userId: req.userId },
+        include: [{
+          model: User,
+          as: 'mutedUser',
+          attributes: ['id', 'username', 'profilePicture']
+        }],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({ mutes });
+    } catch (error) {
+      console.error('Get muted users error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
   }
 };
 
@@ -0,0 +1,134 @@
+const path = require('path');
+const { Op } = require('sequelize');
+const { User, VerificationRequest } = require('../models');
+const { sequelize } = require('../config/database');
+const verificationService = require('../services/verification');
+const storage = require('../services/storage');
+
+const userAttributes = ['id', 'username', 'displayName', 'email', 'profilePicture', 'isVerified', 'createdAt'];
+
+const verificationController = {
+  // Review queue of verification requests, oldest first
+  getVerificationRequests: async (req, res) => {
+    try {
+      const { status = 'pending', userId, page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+      
+      const where = { status };
+      
+      if (userId) where.userId = userId;
+      
+      const requests = await VerificationRequest.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'user', attributes: userAttributes }],
+        limit: parseInt(limit),
+        offset,
+        order: [['createdAt', 'ASC']]
+      });
+      
+      return res.status(200).json({
+        verificationRequests: requests.rows,
+        totalRequests: requests.count,
+        totalPages: Math.ceil(requests.count / limit),
+        currentPage: parseInt(page)
+      });
+    } catch (error) {
+      console.error('Get verification requests error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // A request with the user's earlier requests
+  getVerificationRequestById: async (req, res) => {
+    try {
+      const request = await VerificationRequest.findByPk(req.params.id, {
+        include: [
+          { model: User, as: 'user', attributes: userAttributes },
+          { model: User, as: 'reviewedBy', attributes: ['id', 'username'] }
+        ]
+      });
+      
+      if (!request) {
+        return res.status(404).json({ message: 'Verification request not found' });
+      }
+      
+      const previousRequests = await VerificationRequest.findAll({
+        where: { userId: request.userId, id: { [Op.ne]: request.id } },
+        attributes: ['id', 'documentType', 'status', 'reviewNote', 'createdAt', 'reviewedAt'],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      return res.status(200).json({
+        verificationRequest: request,
+        previousRequests
+      });
+    } catch (error) {
+      console.error('Get verification request error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Stream one of a request's documents. They are private, so never cached.
+  getVerificationDocument: async (req, res) => {
+    try {
+      const request = await VerificationRequest.findByPk(req.params.id, { attributes: ['id', 'documents'] });
+      
+      if (!request) {
+        return res.status(404).json({ message: 'Verification request not found' });
+      }
+      
+      const document = request.documents[parseInt(req.params.index)];
+      const stats = document ? await storage.stat(document.key) : null;
+      
+      if (!stats) {
+        return res.status(404).json({ message: 'Document not found' });
+      }
+      
+      res.status(200);
+      res.type(path.extname(document.key));
+      res.set('Cache-Control', 'private, no-store');
+      res.set('Content-Length', String(stats.size));
+      
+      const stream = await storage.createReadStream(document.key);
+      
+      stream.on('error', (error) => {
+        console.error('Stream verification document error:', error);
+        res.destroy(error);
+      });
+      
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Get verification document error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  },
+  
+  // Approve or reject a pending request
+  reviewVerificationRequest: async (req, res) => {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      const { status, note } = req.body;
+      
+      const request = await verificationService.reviewRequest(req.userId, req.params.id, { status, note }, transaction);
+      
+      await transaction.commit();
+      
+      return res.status(200).json({
+        message: `Verification request ${request.status}`,
+        verificationRequest: request
+      });
+    } catch (error) {
+      await transaction.rollback();
+      
+      if (error instanceof verificationService.VerificationError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      console.error('Review verification request error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+};
+
+module.exports = verificationController;
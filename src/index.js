@@ -2,25 +2,15 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { sequelize } = require('./config/database');
-const admin = require('firebase-admin');
 const http = require('http');
-const socketIo = require('socket.io');
 const routes = require('./routes');
-
-// Initialize Firebase Admin SDK (for authentication only)
-const serviceAccount = require('../firebase-service-account.json');
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
+const initSocket = require('./socket');
+const escrowReleaseJob = require('./jobs/escrow-release.job');
+const tradeExpiryJob = require('./jobs/trade-expiry.job');
+const completionTimeoutJob = require('./jobs/completion-timeout.job');
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
-  }
-});
 
 // Middleware
 app.use(cors());
@@ -35,26 +25,8 @@ app.get('/', (req, res) => {
   res.json({ message: 'Welcome to Swopify API' });
 });
 
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('New client connected');
-  
-  // Join a chat room
-  socket.on('join_room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User joined room: ${roomId}`);
-  });
-
-  // Send message to a specific room
-  socket.on('send_message', (data) => {
-    io.to(data.roomId).emit('receive_message', data);
-  });
-
-  // Disconnect event
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
-  });
-});
+// Socket.io connections
+initSocket(server);
 
 // Database connection and server start
 const PORT = process.env.PORT || 8080;
@@ -64,6 +36,11 @@ sequelize.sync({ alter: true })
     server.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
+    
+    // Scheduled jobs
+    escrowReleaseJob.start();
+    tradeExpiryJob.start();
+    completionTimeoutJob.start();
   })
   .catch(err => {
     console.error('Unable to connect to the database:', err);
@@ -0,0 +1,18 @@
+const createIntervalJob = require('./interval-job');
+const disputeService = require('../services/dispute.service');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Escalate trades whose completion was never confirmed by every participant
+const completionTimeoutJob = createIntervalJob({
+  name: 'Completion timeout',
+  interval: parseInt(process.env.COMPLETION_TIMEOUT_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  task: async () => {
+    const escalated = await disputeService.escalateUnconfirmed();
+    if (escalated > 0) {
+      console.log(`Escalated ${escalated} unconfirmed trade(s) to dispute`);
+    }
+  }
+});
+
+module.exports = completionTimeoutJob;
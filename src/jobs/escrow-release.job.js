@@ -0,0 +1,18 @@
+const createIntervalJob = require('./interval-job');
+const escrowService = require('../services/escrow.service');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Release escrows whose release date has passed
+const escrowReleaseJob = createIntervalJob({
+  name: 'Escrow release',
+  interval: parseInt(process.env.ESCROW_RELEASE_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  task: async () => {
+    const released = await escrowService.releaseDue();
+    if (released > 0) {
+      console.log(`Released ${released} escrow trade(s)`);
+    }
+  }
+});
+
+module.exports = escrowReleaseJob;
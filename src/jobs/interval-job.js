@@ -0,0 +1,36 @@
+// Run a task on a fixed interval, skipping a tick if the previous run is still going
+const createIntervalJob = ({ name, task, interval }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} job error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      if (timer) return;
+
+      timer = setInterval(tick, interval);
+      tick();
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    tick
+  };
+};
+
+module.exports = createIntervalJob;
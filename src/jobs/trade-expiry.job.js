@@ -0,0 +1,18 @@
+const createIntervalJob = require('./interval-job');
+const tradeService = require('../services/trade.service');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Expire trade proposals nobody answered in time
+const tradeExpiryJob = createIntervalJob({
+  name: 'Trade expiry',
+  interval: parseInt(process.env.TRADE_EXPIRY_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  task: async () => {
+    const expired = await tradeService.expireDue();
+    if (expired > 0) {
+      console.log(`Expired ${expired} trade proposal(s)`);
+    }
+  }
+});
+
+module.exports = tradeExpiryJob;
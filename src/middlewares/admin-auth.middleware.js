@@ -0,0 +1,30 @@
+const { AdminUser } = require('../models');
+const { verifyAdminToken } = require('../utils/admin-token.utils');
+
+// Authenticates trust and safety staff. The role is read from the database on
+// every request so deactivations and role changes apply immediately.
+const adminAuthMiddleware = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ message: 'Unauthorized: No token provided' });
+    }
+    
+    const adminId = verifyAdminToken(authHeader.split(' ')[1]);
+    const adminUser = await AdminUser.findByPk(adminId);
+    
+    if (!adminUser || !adminUser.isActive) {
+      return res.status(401).json({ message: 'Unauthorized: Invalid token' });
+    }
+    
+    req.adminId = adminUser.id;
+    req.adminRole = adminUser.role;
+    
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Unauthorized: Invalid token' });
+  }
+};
+
+module.exports = adminAuthMiddleware;
@@ -1,4 +1,6 @@
-const admin = require('firebase-admin');
+const authService = require('../services/auth');
+const identityService = require('../services/identity.service');
+const { getAccountRestriction } = require('../utils/moderation.utils');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -10,15 +12,28 @@ const authMiddleware = async (req, res, next) => {
     
     const token = authHeader.split(' ')[1];
     
-    // Verify the Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    // Verify the token with the configured auth provider
+    const decodedToken = await authService.verifyToken(token);
     
     if (!decodedToken) {
       return res.status(401).json({ message: 'Unauthorized: Invalid token' });
     }
     
-    // Add the user ID to the request object
-    req.userId = decodedToken.uid;
+    // Suspended and banned users are locked out
+    const user = await identityService.findUserByUid(decodedToken.uid, {
+      attributes: ['id', 'roles', 'accountStatus', 'suspendedUntil', 'statusReason']
+    });
+    const restriction = getAccountRestriction(user);
+    
+    if (restriction) {
+      return res.status(403).json({ message: `Forbidden: Your account is ${restriction.accountStatus}`, ...restriction });
+    }
+    
+    // Add the user ID, roles and verified identity to the request object. Sign-ins
+    // linked to an existing account act as that account.
+    req.userId = user ? user.id : decodedToken.uid;
+    req.userRoles = user ? user.roles || [] : [];
+    req.auth = decodedToken;
     
     next();
   } catch (error) {
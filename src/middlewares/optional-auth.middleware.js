@@ -0,0 +1,27 @@
+const authService = require('../services/auth');
+const identityService = require('../services/identity.service');
+
+// For public routes that tailor results to a signed-in user. Sets req.userId
+// when a valid token is sent and carries on anonymously otherwise.
+const optionalAuthMiddleware = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const decodedToken = await authService.verifyToken(authHeader.split(' ')[1]);
+
+    if (decodedToken) {
+      const user = await identityService.findUserByUid(decodedToken.uid, { attributes: ['id'] });
+      req.userId = user ? user.id : decodedToken.uid;
+    }
+  } catch (error) {
+    // An invalid token is treated as anonymous
+  }
+
+  next();
+};
+
+module.exports = optionalAuthMiddleware;
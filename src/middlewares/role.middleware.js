@@ -0,0 +1,26 @@
+const { rolesHavePermission } = require('../services/role.service');
+
+// Must run after authMiddleware, which loads req.userRoles
+
+// Allow users with any of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!(req.userRoles || []).some(role => roles.includes(role))) {
+    return res.status(403).json({ message: `Forbidden: Requires the ${roles.join(' or ')} role` });
+  }
+
+  next();
+};
+
+// Allow users with a role that grants the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!rolesHavePermission(req.userRoles, permission)) {
+    return res.status(403).json({ message: `Forbidden: Requires the ${permission} permission` });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
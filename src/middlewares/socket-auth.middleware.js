@@ -0,0 +1,43 @@
+const authService = require('../services/auth');
+const identityService = require('../services/identity.service');
+const { getAccountRestriction } = require('../utils/moderation.utils');
+
+// Socket.IO counterpart of authMiddleware. Clients pass the same ID token as
+// `auth.token` in the handshake, or as a Bearer Authorization header.
+const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth && socket.handshake.auth.token
+      ? socket.handshake.auth.token
+      : authHeader && authHeader.startsWith('Bearer ') && authHeader.split(' ')[1];
+
+    if (!token) {
+      return next(new Error('Unauthorized: No token provided'));
+    }
+
+    // Verify the token with the configured auth provider
+    const decodedToken = await authService.verifyToken(token);
+
+    if (!decodedToken) {
+      return next(new Error('Unauthorized: Invalid token'));
+    }
+
+    const user = await identityService.findUserByUid(decodedToken.uid, {
+      attributes: ['id', 'accountStatus', 'suspendedUntil', 'statusReason']
+    });
+    const restriction = getAccountRestriction(user);
+
+    if (restriction) {
+      return next(new Error(`Forbidden: Your account is ${restriction.accountStatus}`));
+    }
+
+    socket.userId = user ? user.id : decodedToken.uid;
+
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Unauthorized: Invalid token'));
+  }
+};
+
+module.exports = socketAuthMiddleware;
@@ -1,11 +1,17 @@
 const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
+// Uploads land in a temporary directory until the storage service persists them
+const tmpDir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'swopify-uploads');
+fs.mkdirSync(tmpDir, { recursive: true });
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+    cb(null, tmpDir);
   },
   filename: function (req, file, cb) {
     const uniqueFilename = `${uuidv4()}${path.extname(file.originalname)}`;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const UserBlock = sequelize.define('UserBlock', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['blockerId', 'blockedId'] }
+  ]
+});
+
+const UserMute = sequelize.define('UserMute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null mutes until the user unmutes'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'mutedUserId'] }
+  ]
+});
+
+// Associations
+UserBlock.belongsTo(User, { foreignKey: 'blockerId', as: 'blocker' });
+UserBlock.belongsTo(User, { foreignKey: 'blockedId', as: 'blocked' });
+
+UserMute.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+UserMute.belongsTo(User, { foreignKey: 'mutedUserId', as: 'mutedUser' });
+
+module.exports = { UserBlock, UserMute };
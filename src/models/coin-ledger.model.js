@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trade = require('./trade.model');
+
+// Double-entry ledger: every transfer writes one debit and one credit entry
+// sharing a transactionId, so the amounts of each transfer always sum to zero.
+const CoinLedgerEntry = sequelize.define('CoinLedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Groups the debit and credit entries of one transfer'
+  },
+  account: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'user:<id>, trade:<id> (coins held for a trade) or system'
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Positive for credits, negative for debits'
+  },
+  type: {
+    type: DataTypes.ENUM('signup_bonus', 'opening_balance', 'reservation', 'release', 'payment', 'refund'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['account'] },
+    { fields: ['userId'] },
+    { fields: ['tradeId'] }
+  ]
+});
+
+// Associations
+CoinLedgerEntry.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+CoinLedgerEntry.belongsTo(Trade, { foreignKey: 'tradeId', as: 'trade' });
+
+module.exports = CoinLedgerEntry;
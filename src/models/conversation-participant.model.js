@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const { Conversation } = require('./message.model');
+
+const ConversationParticipant = sequelize.define('ConversationParticipant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['conversationId', 'userId'] }
+  ]
+});
+
+// Associations
+ConversationParticipant.belongsTo(Conversation, { foreignKey: 'conversationId' });
+ConversationParticipant.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Conversation.hasMany(ConversationParticipant, { foreignKey: 'conversationId', as: 'participants' });
+
+module.exports = ConversationParticipant;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trade = require('./trade.model');
+
+const Dispute = sequelize.define('Dispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved'),
+    defaultValue: 'open'
+  },
+  evidence: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Private uploads: [{ key, mediaType, uploadedById, at }]; served only to the parties and moderators'
+  },
+  tradeStatusAtOpen: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'accepted or completed; decides whether coins were already paid out'
+  },
+  outcome: {
+    type: DataTypes.ENUM('uphold', 'reverse'),
+    allowNull: true,
+    comment: 'uphold completes the trade as agreed, reverse undoes it'
+  },
+  resolutionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['tradeId'] },
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+const DisputeMessage = sequelize.define('DisputeMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  attachments: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Private uploads, stored like dispute evidence'
+  },
+  fromModerator: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false
+});
+
+// Associations
+Dispute.belongsTo(Trade, { foreignKey: 'tradeId' });
+Dispute.belongsTo(User, { foreignKey: 'openedById', as: 'openedBy', comment: 'Null when opened by the system' });
+Dispute.belongsTo(User, { foreignKey: 'favouredUserId', as: 'favouredUser' });
+Dispute.belongsTo(User, { foreignKey: 'resolvedById', as: 'resolvedBy' });
+
+DisputeMessage.belongsTo(Dispute, { foreignKey: 'disputeId' });
+DisputeMessage.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
+
+Trade.hasMany(Dispute, { foreignKey: 'tradeId', as: 'disputes' });
+Dispute.hasMany(DisputeMessage, { foreignKey: 'disputeId', as: 'messages' });
+
+module.exports = { Dispute, DisputeMessage };
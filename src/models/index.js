@@ -1,14 +1,45 @@
 const User = require('./user.model');
+const UserIdentity = require('./user-identity.model');
 const Listing = require('./listing.model');
 const Trade = require('./trade.model');
+const TradeParticipant = require('./trade-participant.model');
+const TradeEvent = require('./trade-event.model');
 const { Conversation, Message } = require('./message.model');
+const ConversationParticipant = require('./conversation-participant.model');
+const MessageReaction = require('./message-reaction.model');
 const Rating = require('./rating.model');
+const CoinLedgerEntry = require('./coin-ledger.model');
+const { Dispute, DisputeMessage } = require('./dispute.model');
+const UserEvent = require('./user-event.model');
+const { Notification, DeviceToken } = require('./notification.model');
+const { UserBlock, UserMute } = require('./block.model');
+const Report = require('./report.model');
+const AdminUser = require('./admin-user.model');
+const ModerationAction = require('./moderation-action.model');
+const VerificationRequest = require('./verification-request.model');
 
 module.exports = {
   User,
+  UserIdentity,
   Listing,
   Trade,
+  TradeParticipant,
+  TradeEvent,
   Conversation,
+  ConversationParticipant,
   Message,
-  Rating
+  MessageReaction,
+  Rating,
+  CoinLedgerEntry,
+  Dispute,
+  DisputeMessage,
+  UserEvent,
+  Notification,
+  DeviceToken,
+  UserBlock,
+  UserMute,
+  Report,
+  AdminUser,
+  ModerationAction,
+  VerificationRequest
 };
\ No newline at end of file
@@ -40,16 +40,40 @@ const Listing = sequelize.define('Listing', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
   isAvailable: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  moderationStatus: {
+    type: DataTypes.ENUM('visible', 'hidden', 'removed'),
+    defaultValue: 'visible',
+    comment: 'Hidden listings can be restored by staff; removed listings cannot'
+  },
   viewCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    { fields: ['latitude', 'longitude'] }
+  ]
 });
 
 // Associations
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const { Message } = require('./message.model');
+
+const MessageReaction = sequelize.define('MessageReaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  emoji: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['messageId', 'userId', 'emoji'] }
+  ]
+});
+
+// Associations
+MessageReaction.belongsTo(Message, { foreignKey: 'messageId' });
+MessageReaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Message.hasMany(MessageReaction, { foreignKey: 'messageId', as: 'reactions' });
+
+module.exports = MessageReaction;
@@ -1,6 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./user.model');
+const Listing = require('./listing.model');
+const Trade = require('./trade.model');
 
 const Conversation = sequelize.define('Conversation', {
   id: {
@@ -11,7 +13,17 @@ const Conversation = sequelize.define('Conversation', {
   tradeId: {
     type: DataTypes.UUID,
     allowNull: true,
-    comment: 'Associated trade if any'
+    comment: 'Associated trade if any; follows the latest counter-offer'
+  },
+  listingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Listing the conversation is an inquiry about, if any'
+  },
+  isGroup: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Group threads have no user pair; members are the participants'
   }
 }, {
   timestamps: true
@@ -38,17 +50,76 @@ const Message = sequelize.define('Message', {
   isRead: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  kind: {
+    type: DataTypes.ENUM('text', 'offer', 'counter_offer', 'meetup_proposal'),
+    defaultValue: 'text'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Terms of a structured message: offered listings and coins, or meetup place and time'
+  },
+  actionStatus: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'superseded'),
+    allowNull: true,
+    comment: 'Null for plain text messages'
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  editHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Previous versions of the content, oldest first, each with the time it was written'
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the sender deletes the message for everyone; the content is cleared'
+  },
+  hiddenFor: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'Users who deleted the message for themselves'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    { fields: ['conversationId', 'createdAt'] },
+    {
+      name: 'messages_content_search',
+      using: 'gin',
+      fields: [sequelize.fn('to_tsvector', 'simple', sequelize.col('content'))]
+    }
+  ]
 });
 
 // Associations
 Conversation.belongsTo(User, { foreignKey: 'user1Id', as: 'user1' });
 Conversation.belongsTo(User, { foreignKey: 'user2Id', as: 'user2' });
+Conversation.belongsTo(Trade, { foreignKey: 'tradeId', as: 'trade' });
+Conversation.belongsTo(Listing, { foreignKey: 'listingId', as: 'listing' });
 
 Message.belongsTo(Conversation, { foreignKey: 'conversationId' });
 Message.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
+Message.belongsTo(User, { foreignKey: 'respondedById', as: 'respondedBy' });
+Message.belongsTo(Trade, { foreignKey: 'tradeId', as: 'trade' });
+Message.belongsTo(Message, { foreignKey: 'replyToId', as: 'replyTo' });
+Message.hasMany(Message, { foreignKey: 'replyToId', as: 'replies' });
 
 Conversation.hasMany(Message, { foreignKey: 'conversationId' });
 
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const AdminUser = require('./admin-user.model');
+const Report = require('./report.model');
+
+// Append-only log of every action staff, and app users with moderation roles, take on
+// users and content
+const ModerationAction = sequelize.define('ModerationAction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.ENUM(
+      'hide_listing',
+      'restore_listing',
+      'remove_listing',
+      'hide_rating',
+      'restore_rating',
+      'remove_message',
+      'suspend_user',
+      'ban_user',
+      'reinstate_user',
+      'review_report',
+      'dismiss_report',
+      'grant_role',
+      'revoke_role'
+    ),
+    allowNull: false
+  },
+  targetType: {
+    type: DataTypes.ENUM('user', 'listing', 'message', 'rating', 'report'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'State needed to explain or undo the action, e.g. a suspension end'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['adminId', 'createdAt'] },
+    { fields: ['actorUserId', 'createdAt'] }
+  ]
+});
+
+// Associations
+ModerationAction.belongsTo(AdminUser, { foreignKey: 'adminId', as: 'admin', comment: 'Staff member who acted from the console' });
+ModerationAction.belongsTo(User, { foreignKey: 'actorUserId', as: 'actorUser', comment: 'App user with a role who acted; both actors are null for command-line actions' });
+ModerationAction.belongsTo(Report, { foreignKey: 'reportId', as: 'report' });
+
+module.exports = ModerationAction;
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+// In-app notification inbox; every notification is stored whether or not it was pushed
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Event that caused it, e.g. trade:proposed, message:new'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pushedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null when the push was suppressed by preferences or quiet hours'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId', 'createdAt'] }
+  ]
+});
+
+const DeviceToken = sequelize.define('DeviceToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  token: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true
+  },
+  platform: {
+    type: DataTypes.ENUM('android', 'ios', 'web'),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+// Associations
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+DeviceToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(DeviceToken, { foreignKey: 'userId', as: 'deviceTokens' });
+
+module.exports = { Notification, DeviceToken };
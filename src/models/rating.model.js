@@ -20,6 +20,11 @@ const Rating = sequelize.define('Rating', {
   comment: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  isHidden: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Hidden by staff; not shown or counted towards the barter score'
   }
 }, {
   timestamps: true
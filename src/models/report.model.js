@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const AdminUser = require('./admin-user.model');
+
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  targetType: {
+    type: DataTypes.ENUM('user', 'message', 'listing', 'rating'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Id of the reported user, message, listing or rating'
+  },
+  reason: {
+    type: DataTypes.ENUM('spam', 'harassment', 'scam', 'inappropriate', 'other'),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  snapshot: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Copy of the reported content when the report was made'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'reviewed', 'dismissed'),
+    defaultValue: 'open'
+  },
+  resolutionNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+// Associations
+Report.belongsTo(User, { foreignKey: 'reporterId', as: 'reporter' });
+Report.belongsTo(User, { foreignKey: 'reportedUserId', as: 'reportedUser' });
+Report.belongsTo(User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+Report.belongsTo(AdminUser, { foreignKey: 'reviewedByAdminId', as: 'reviewedByAdmin' });
+
+module.exports = Report;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trade = require('./trade.model');
+
+// Audit trail of everything that happens to a trade
+const TradeEvent = sequelize.define('TradeEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Action that caused the event, e.g. propose, accept, participant_accept'
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['tradeId', 'createdAt'] }
+  ]
+});
+
+// Associations
+TradeEvent.belongsTo(Trade, { foreignKey: 'tradeId' });
+TradeEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor', comment: 'Null for system actions' });
+
+Trade.hasMany(TradeEvent, { foreignKey: 'tradeId', as: 'events' });
+
+module.exports = TradeEvent;
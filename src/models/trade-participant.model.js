@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Listing = require('./listing.model');
+const Trade = require('./trade.model');
+
+const TradeParticipant = sequelize.define('TradeParticipant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Index of this node in the trade chain'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected'),
+    defaultValue: 'pending'
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['tradeId', 'userId'] }
+  ]
+});
+
+// Associations
+TradeParticipant.belongsTo(Trade, { foreignKey: 'tradeId' });
+TradeParticipant.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+TradeParticipant.belongsTo(User, { foreignKey: 'receiverId', as: 'receiver' });
+TradeParticipant.belongsTo(Listing, { foreignKey: 'listingId', as: 'listing' });
+
+Trade.hasMany(TradeParticipant, { foreignKey: 'tradeId', as: 'participants' });
+
+module.exports = TradeParticipant;
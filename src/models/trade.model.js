@@ -10,7 +10,7 @@ const Trade = sequelize.define('Trade', {
     primaryKey: true
   },
   status: {
-    type: DataTypes.ENUM('proposed', 'accepted', 'rejected', 'completed', 'cancelled'),
+    type: DataTypes.ENUM('proposed', 'accepted', 'rejected', 'completed', 'cancelled', 'expired', 'countered', 'disputed'),
     defaultValue: 'proposed'
   },
   type: {
@@ -43,18 +43,66 @@ const Trade = sequelize.define('Trade', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  escrowStatus: {
+    type: DataTypes.ENUM('held', 'released', 'frozen', 'refunded'),
+    allowNull: true
+  },
+  escrowConfirmations: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Map of userId to the time they confirmed receipt'
+  },
+  escrowHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Every escrow state change with actor, note and timestamp'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Proposals not answered by this time expire'
+  },
+  completionConfirmations: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Map of userId to how and when they confirmed completion'
+  },
+  completionRequestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'First completion confirmation; starts the confirmation timeout'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  handoverCodes: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Secret per-participant codes exchanged at the meetup'
   }
 }, {
   timestamps: true
 });
 
+// Handover codes are secret; they are only revealed to their owner
+Trade.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.handoverCodes;
+  return values;
+};
+
 // Associations
 Trade.belongsTo(User, { foreignKey: 'proposerId', as: 'proposer' });
 Trade.belongsTo(User, { foreignKey: 'receiverId', as: 'receiver' });
 Trade.belongsTo(Listing, { foreignKey: 'proposerListingId', as: 'proposerListing' });
 Trade.belongsTo(Listing, { foreignKey: 'receiverListingId', as: 'receiverListing' });
+Trade.belongsTo(User, { foreignKey: 'counteredById', as: 'counteredBy' });
+Trade.belongsTo(Trade, { foreignKey: 'parentTradeId', as: 'parentTrade' });
+Trade.hasMany(Trade, { foreignKey: 'parentTradeId', as: 'counterOffers' });
 
 module.exports = Trade;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+// Realtime events pushed to a user, kept so reconnecting clients can replay what they missed
+const UserEvent = sequelize.define('UserEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Socket event name, e.g. trade:accepted, message:new'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt', 'id'] }
+  ]
+});
+
+// Associations
+UserEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = UserEvent;
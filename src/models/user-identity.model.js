@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+// Extra sign-in uids linked to an existing user, e.g. when the same verified email
+// signs in with another provider and Firebase issues a different uid
+const UserIdentity = sequelize.define('UserIdentity', {
+  uid: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Firebase UID of the linked sign-in'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Verified email the sign-in was linked by'
+  }
+}, {
+  timestamps: true
+});
+
+// Associations
+UserIdentity.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(UserIdentity, { foreignKey: 'userId', as: 'identities' });
+
+module.exports = UserIdentity;
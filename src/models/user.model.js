@@ -21,6 +21,16 @@ const User = sequelize.define('User', {
       isEmail: true
     }
   },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Synced from the sign-in token on register and login'
+  },
+  displayName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Name from the sign-in provider'
+  },
   profilePicture: {
     type: DataTypes.STRING,
     allowNull: true
@@ -33,6 +43,22 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
   isVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -52,9 +78,41 @@ const User = sequelize.define('User', {
   tradeCoins: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  notificationPreferences: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Push categories and quiet hours; missing keys use the defaults'
+  },
+  roles: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'In-app roles such as moderator or admin; see role.service for their permissions'
+  },
+  accountStatus: {
+    type: DataTypes.ENUM('active', 'suspended', 'banned'),
+    defaultValue: 'active'
+  },
+  suspendedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of a suspension; the account is active again after it'
+  },
+  statusReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason shown to a suspended or banned user'
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the user last disconnected from the realtime server'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    { fields: ['latitude', 'longitude'] }
+  ]
 });
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const VerificationRequest = sequelize.define('VerificationRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  documentType: {
+    type: DataTypes.ENUM('passport', 'national_id', 'drivers_license'),
+    allowNull: false
+  },
+  documents: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Private uploads: [{ key, mediaType, at }]; only reviewers can fetch them'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    defaultValue: 'pending'
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Verification provider that checked the documents'
+  },
+  providerReference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "The provider's id for its check, if any"
+  },
+  providerResult: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Decision and details returned by the provider'
+  },
+  reviewNote: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason given for the decision; shown to the user when rejected'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+// Associations
+VerificationRequest.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+VerificationRequest.belongsTo(User, { foreignKey: 'reviewedById', as: 'reviewedBy', comment: 'Null when the provider decided' });
+
+User.hasMany(VerificationRequest, { foreignKey: 'userId', as: 'verificationRequests' });
+
+module.exports = VerificationRequest;
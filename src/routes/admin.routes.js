@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const adminAuthMiddleware = require('../middlewares/admin-auth.middleware');
+
+// Trust and safety console. Staff authenticate with their own tokens, not Firebase.
+router.post('/auth/login', adminController.login);
+router.get('/me', adminAuthMiddleware, adminController.getMe);
+
+// Staff accounts (admins only)
+router.get('/staff', adminAuthMiddleware, adminController.getStaff);
+router.post('/staff', adminAuthMiddleware, adminController.createStaff);
+router.put('/staff/:id', adminAuthMiddleware, adminController.updateStaff);
+
+// Reports
+router.get('/reports', adminAuthMiddleware, adminController.getReports);
+router.get('/reports/:id', adminAuthMiddleware, adminController.getReportById);
+router.put('/reports/:id', adminAuthMiddleware, adminController.reviewReport);
+
+// Actions; each accepts a reason and the reportId it resolves
+router.post('/listings/:id/hide', adminAuthMiddleware, adminController.hideListing);
+router.post('/listings/:id/restore', adminAuthMiddleware, adminController.restoreListing);
+router.post('/listings/:id/remove', adminAuthMiddleware, adminController.removeListing);
+router.post('/ratings/:id/hide', adminAuthMiddleware, adminController.hideRating);
+router.post('/ratings/:id/restore', adminAuthMiddleware, adminController.restoreRating);
+router.post('/messages/:id/remove', adminAuthMiddleware, adminController.removeMessage);
+router.post('/users/:id/suspend', adminAuthMiddleware, adminController.suspendUser);
+router.post('/users/:id/ban', adminAuthMiddleware, adminController.banUser);
+router.post('/users/:id/reinstate', adminAuthMiddleware, adminController.reinstateUser);
+
+// Action log
+router.get('/actions', adminAuthMiddleware, adminController.getActions);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/dispute.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../services/role.service');
+const upload = require('../middlewares/upload.middleware');
+
+// Disputes are opened from a trade: POST /api/trades/:id/disputes
+
+// Moderator routes
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.RESOLVE_DISPUTES), disputeController.getDisputes);
+router.put('/:id/resolve', authMiddleware, requirePermission(PERMISSIONS.RESOLVE_DISPUTES), disputeController.resolveDispute);
+
+// Participant and moderator routes
+router.get('/:id', authMiddleware, disputeController.getDisputeById);
+router.post('/:id/messages', authMiddleware, upload.array('attachments', 5), disputeController.addDisputeMessage);
+router.post('/:id/evidence', authMiddleware, upload.array('evidence', 5), disputeController.addEvidence);
+router.get('/:id/evidence/:index', authMiddleware, disputeController.getEvidenceFile);
+router.get('/:id/messages/:messageId/attachments/:index', authMiddleware, disputeController.getMessageAttachment);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/event.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+// All event routes are protected
+router.get('/', authMiddleware, eventController.getEventsSince);
+
+module.exports = router;
@@ -7,6 +7,13 @@ const listingRoutes = require('./listing.routes');
 const tradeRoutes = require('./trade.routes');
 const messageRoutes = require('./message.routes');
 const ratingRoutes = require('./rating.routes');
+const mediaRoutes = require('./media.routes');
+const disputeRoutes = require('./dispute.routes');
+const eventRoutes = require('./event.routes');
+const notificationRoutes = require('./notification.routes');
+const reportRoutes = require('./report.routes');
+const adminRoutes = require('./admin.routes');
+const verificationRoutes = require('./verification.routes');
 
 // Use route modules
 router.use('/users', userRoutes);
@@ -14,5 +21,12 @@ router.use('/listings', listingRoutes);
 router.use('/trades', tradeRoutes);
 router.use('/messages', messageRoutes);
 router.use('/ratings', ratingRoutes);
+router.use('/media', mediaRoutes);
+router.use('/disputes', disputeRoutes);
+router.use('/events', eventRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/reports', reportRoutes);
+router.use('/admin', adminRoutes);
+router.use('/verifications', verificationRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -2,12 +2,13 @@ const express = require('express');
 const router = express.Router();
 const listingController = require('../controllers/listing.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
+const optionalAuthMiddleware = require('../middlewares/optional-auth.middleware');
 const upload = require('../middlewares/upload.middleware');
 
-// Public routes
-router.get('/', listingController.getAllListings);
-router.get('/:id', listingController.getListingById);
-router.get('/category/:category', listingController.getListingsByCategory);
+// Public routes; signed-in users do not see listings of users they have blocked
+router.get('/', optionalAuthMiddleware, listingController.getAllListings);
+router.get('/:id', optionalAuthMiddleware, listingController.getListingById);
+router.get('/category/:category', optionalAuthMiddleware, listingController.getListingsByCategory);
 
 // Protected routes
 router.post('/', authMiddleware, upload.array('images', 5), listingController.createListing);
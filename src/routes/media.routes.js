@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/media.controller');
+
+// Public routes
+router.get('/*', mediaController.getMedia);
+
+module.exports = router;
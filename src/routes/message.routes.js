@@ -7,7 +7,17 @@ const upload = require('../middlewares/upload.middleware');
 // All message routes are protected
 router.post('/', authMiddleware, upload.single('media'), messageController.sendMessage);
 router.get('/conversations', authMiddleware, messageController.getUserConversations);
+router.post('/conversations', authMiddleware, messageController.openConversation);
+router.get('/search', authMiddleware, messageController.searchMessages);
 router.get('/conversation/:conversationId', authMiddleware, messageController.getConversationMessages);
 router.post('/read/:messageId', authMiddleware, messageController.markMessageAsRead);
+router.post('/:messageId/respond', authMiddleware, messageController.respondToMessage);
+router.put('/:messageId', authMiddleware, messageController.editMessage);
+router.delete('/:messageId', authMiddleware, messageController.deleteMessage);
+router.get('/:messageId/history', authMiddleware, messageController.getMessageHistory);
+router.get('/:messageId/replies', authMiddleware, messageController.getMessageReplies);
+router.post('/:messageId/reactions', authMiddleware, messageController.addReaction);
+router.delete('/:messageId/reactions/:emoji', authMiddleware, messageController.removeReaction);
+router.post('/conversation/:conversationId/read', authMiddleware, messageController.markConversationAsRead);
 
 module.exports = router;
\ No newline at end of file
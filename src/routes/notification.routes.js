@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+// All notification routes are protected
+router.get('/', authMiddleware, notificationController.getNotifications);
+router.put('/read-all', authMiddleware, notificationController.markAllAsRead);
+router.put('/:id/read', authMiddleware, notificationController.markAsRead);
+router.post('/devices', authMiddleware, notificationController.registerDevice);
+router.delete('/devices/:token', authMiddleware, notificationController.unregisterDevice);
+router.get('/preferences', authMiddleware, notificationController.getPreferences);
+router.put('/preferences', authMiddleware, notificationController.updatePreferences);
+
+module.exports = router;
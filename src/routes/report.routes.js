@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/report.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../services/role.service');
+
+router.post('/', authMiddleware, reportController.createReport);
+
+// Moderator routes
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.REVIEW_REPORTS), reportController.getReports);
+router.put('/:id', authMiddleware, requirePermission(PERMISSIONS.REVIEW_REPORTS), reportController.reviewReport);
+
+module.exports = router;
@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const tradeController = require('../controllers/trade.controller');
+const disputeController = require('../controllers/dispute.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
+const upload = require('../middlewares/upload.middleware');
 
 // All trade routes are protected
 router.post('/propose', authMiddleware, tradeController.proposeTrade);
 router.get('/', authMiddleware, tradeController.getUserTrades);
 router.get('/:id', authMiddleware, tradeController.getTradeById);
+router.get('/:id/history', authMiddleware, tradeController.getTradeHistory);
+router.get('/:id/handover-code', authMiddleware, tradeController.getHandoverCode);
 router.put('/:id/accept', authMiddleware, tradeController.acceptTrade);
 router.put('/:id/reject', authMiddleware, tradeController.rejectTrade);
+router.put('/:id/cancel', authMiddleware, tradeController.cancelTrade);
+router.post('/:id/counter', authMiddleware, tradeController.counterTrade);
 router.put('/:id/complete', authMiddleware, tradeController.completeTrade);
+router.put('/:id/escrow/confirm', authMiddleware, tradeController.confirmEscrowReceipt);
+router.post('/:id/disputes', authMiddleware, upload.array('evidence', 5), disputeController.openDispute);
+router.get('/:id/disputes', authMiddleware, disputeController.getTradeDisputes);
 router.post('/match', authMiddleware, tradeController.findTradeMatches);
+router.get('/cycles/:listingId', authMiddleware, tradeController.findTradeCycles);
 router.post('/multi-party', authMiddleware, tradeController.proposeMultiPartyTrade);
 
 module.exports = router;
\ No newline at end of file
@@ -2,16 +2,31 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../services/role.service');
+const upload = require('../middlewares/upload.middleware');
 
-// Public routes
-router.post('/register', userController.register);
-router.post('/login', userController.login);
-
-// Protected routes
+// Protected routes; register and login identify the user from the token
+router.post('/register', authMiddleware, userController.register);
+router.post('/login', authMiddleware, userController.login);
 router.get('/profile', authMiddleware, userController.getProfile);
 router.put('/profile', authMiddleware, userController.updateProfile);
-router.post('/verify', authMiddleware, userController.verifyUser);
+router.get('/profile/coins', authMiddleware, userController.getCoinHistory);
+router.get('/verify', authMiddleware, userController.getVerification);
+router.post('/verify', authMiddleware, upload.array('documents', 5), userController.submitVerification);
+router.get('/blocked', authMiddleware, userController.getBlockedUsers);
+router.get('/muted', authMiddleware, userController.getMutedUsers);
 router.get('/:id', authMiddleware, userController.getUserById);
 router.get('/:id/ratings', authMiddleware, userController.getUserRatings);
+router.get('/:id/presence', authMiddleware, userController.getUserPresence);
+router.post('/:id/block', authMiddleware, userController.blockUser);
+router.delete('/:id/block', authMiddleware, userController.unblockUser);
+router.post('/:id/mute', authMiddleware, userController.muteUser);
+router.delete('/:id/mute', authMiddleware, userController.unmuteUser);
+
+// Role management
+router.get('/:id/roles', authMiddleware, requirePermission(PERMISSIONS.MANAGE_ROLES), userController.getUserRoles);
+router.post('/:id/roles', authMiddleware, requirePermission(PERMISSIONS.MANAGE_ROLES), userController.grantRole);
+router.delete('/:id/roles/:role', authMiddleware, requirePermission(PERMISSIONS.MANAGE_ROLES), userController.revokeRole);
 
 module.exports = router;
\ No newline at end of file
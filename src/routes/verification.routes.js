@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const verificationController = require('../controllers/verification.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../services/role.service');
+
+// Users submit requests with POST /api/users/verify
+
+// Reviewer routes
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.REVIEW_VERIFICATIONS), verificationController.getVerificationRequests);
+router.get('/:id', authMiddleware, requirePermission(PERMISSIONS.REVIEW_VERIFICATIONS), verificationController.getVerificationRequestById);
+router.get('/:id/documents/:index', authMiddleware, requirePermission(PERMISSIONS.REVIEW_VERIFICATIONS), verificationController.getVerificationDocument);
+router.put('/:id/review', authMiddleware, requirePermission(PERMISSIONS.REVIEW_VERIFICATIONS), verificationController.reviewVerificationRequest);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const { AdminUser } = require('../models');
+
+// Create the first staff account, which can then create the others through the API:
+// npm run create:admin -- <email> <name> <password> [admin|moderator]
+const run = async () => {
+  const [email, name, password, role = 'admin'] = process.argv.slice(2);
+
+  if (!email || !name || !password) {
+    console.log('Usage: npm run create:admin -- <email> <name> <password> [admin|moderator]');
+    return false;
+  }
+
+  await AdminUser.sync();
+
+  const adminUser = await AdminUser.create({
+    email: email.toLowerCase(),
+    name,
+    role,
+    passwordHash: await bcrypt.hash(password, 10)
+  });
+
+  console.log(`Created ${adminUser.role} ${adminUser.email}`);
+  return true;
+};
+
+run()
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(err => {
+    console.error('Creating admin failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
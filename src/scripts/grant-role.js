@@ -0,0 +1,30 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const roleService = require('../services/role.service');
+
+// Grant a role from the command line, e.g. to make the first admin:
+// npm run grant:role -- <firebase uid> <moderator|admin>
+const run = async () => {
+  const [userId, role] = process.argv.slice(2);
+
+  if (!userId || !role) {
+    console.log(`Usage: npm run grant:role -- <firebase uid> <${roleService.ROLES.join('|')}>`);
+    return false;
+  }
+
+  // Logged in the moderation log with no actor
+  const user = await sequelize.transaction(transaction => roleService.grantRole(null, userId, role, transaction));
+
+  console.log(`${user.username} now has roles: ${user.roles.join(', ')}`);
+  return true;
+};
+
+run()
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(err => {
+    console.error('Granting role failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
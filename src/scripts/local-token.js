@@ -0,0 +1,29 @@
+require('dotenv').config();
+const authService = require('../services/auth');
+
+// Print a token for the local auth provider (AUTH_PROVIDER=local):
+// npm run auth:token -- <uid> [email] [name]
+const run = () => {
+  const [uid, email, name] = process.argv.slice(2);
+  const verifier = authService.getVerifier();
+
+  if (verifier.name !== 'local') {
+    console.log('Set AUTH_PROVIDER=local to issue local tokens');
+    return false;
+  }
+
+  if (!uid) {
+    console.log('Usage: npm run auth:token -- <uid> [email] [name]');
+    return false;
+  }
+
+  console.log(verifier.sign({ uid, email: email || `${uid}@example.com`, name: name || uid }));
+  return true;
+};
+
+try {
+  process.exitCode = run() ? 0 : 1;
+} catch (err) {
+  console.error('Issuing token failed:', err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const coinLedger = require('../services/coin-ledger.service');
+
+// Recompute every user's trade coin balance from the ledger and report mismatches.
+// Pass --backfill to record opening balances for users whose coins predate the ledger.
+const run = async () => {
+  if (process.argv.includes('--backfill')) {
+    const backfilled = await coinLedger.backfillOpeningBalances();
+    console.log(`Recorded opening balances for ${backfilled} users`);
+  }
+
+  const result = await coinLedger.verifyAllBalances();
+
+  console.log(`Checked ${result.usersChecked} users`);
+  console.log(`Ledger balanced: ${result.ledgerBalanced}`);
+
+  result.mismatches.forEach(mismatch => {
+    console.log(`Mismatch for ${mismatch.userId}: cached ${mismatch.cachedBalance}, ledger ${mismatch.ledgerBalance}`);
+  });
+
+  return result.mismatches.length === 0 && result.ledgerBalanced;
+};
+
+run()
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(err => {
+    console.error('Coin ledger verification failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
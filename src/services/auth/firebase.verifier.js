@@ -0,0 +1,25 @@
+const { getFirebaseAdmin } = require('../../config/firebase');
+
+// Verifies Firebase ID tokens issued to the mobile app
+const createFirebaseVerifier = () => {
+  // Fail at startup rather than on the first request when the service account is missing
+  const admin = getFirebaseAdmin();
+
+  return {
+    name: 'firebase',
+
+    verify: async (token) => {
+      const decodedToken = await admin.auth().verifyIdToken(token);
+
+      return {
+        uid: decodedToken.uid,
+        email: decodedToken.email || null,
+        emailVerified: Boolean(decodedToken.email_verified),
+        name: decodedToken.name || null,
+        picture: decodedToken.picture || null
+      };
+    }
+  };
+};
+
+module.exports = createFirebaseVerifier;
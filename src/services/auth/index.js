@@ -0,0 +1,40 @@
+const createFirebaseVerifier = require('./firebase.verifier');
+const createLocalVerifier = require('./local.verifier');
+
+// Select the token verifier from environment
+const createVerifier = () => {
+  const providerName = process.env.AUTH_PROVIDER || 'firebase';
+
+  switch (providerName) {
+    case 'firebase':
+      return createFirebaseVerifier();
+    case 'local':
+      if (process.env.ENVIRONMENT === 'production') {
+        throw new Error('The local auth provider cannot be used in production');
+      }
+
+      return createLocalVerifier({
+        secret: process.env.AUTH_LOCAL_SECRET,
+        expiresIn: process.env.AUTH_LOCAL_TOKEN_TTL || '7d'
+      });
+    default:
+      throw new Error(`Unknown auth provider: ${providerName}`);
+  }
+};
+
+let verifier = createVerifier();
+
+const authService = {
+  getVerifier: () => verifier,
+
+  // Swap the verifier (e.g. for a stub in tests)
+  setVerifier: (newVerifier) => {
+    verifier = newVerifier;
+  },
+
+  // Verify a bearer token and return the user's identity:
+  // { uid, email, emailVerified, name, picture }. Throws when the token is invalid.
+  verifyToken: (token) => verifier.verify(token)
+};
+
+module.exports = authService;
@@ -0,0 +1,128 @@
+const { Op } = require('sequelize');
+const { User, UserBlock, UserMute } = require('../models');
+
+class BlockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'BlockError';
+    this.status = status;
+  }
+}
+
+const assertOtherUser = async (userId, otherUserId) => {
+  if (userId === otherUserId) {
+    throw new BlockError(400, 'You cannot block or mute yourself');
+  }
+
+  const otherUser = await User.findByPk(otherUserId, { attributes: ['id'] });
+
+  if (!otherUser) {
+    throw new BlockError(404, 'User not found');
+  }
+};
+
+// Blocks work both ways: neither user can message, trade with or see the listings of the other.
+// Mutes only silence push notifications from the muted user.
+const blockService = {
+  BlockError,
+
+  // Whether either user has blocked the other
+  isBlockedBetween: async (userId, otherUserId, transaction) => {
+    if (!userId || !otherUserId) return false;
+
+    const count = await UserBlock.count({
+      where: {
+        [Op.or]: [
+          { blockerId: userId, blockedId: otherUserId },
+          { blockerId: otherUserId, blockedId: userId }
+        ]
+      },
+      transaction
+    });
+
+    return count > 0;
+  },
+
+  // Whether any two of the users have blocked one another
+  hasBlocksAmong: async (userIds, transaction) => {
+    const count = await UserBlock.count({
+      where: {
+        blockerId: { [Op.in]: userIds },
+        blockedId: { [Op.in]: userIds }
+      },
+      transaction
+    });
+
+    return count > 0;
+  },
+
+  // Users the user has blocked or been blocked by
+  getHiddenUserIds: async (userId) => {
+    if (!userId) return [];
+
+    const blocks = await UserBlock.findAll({
+      where: {
+        [Op.or]: [
+          { blockerId: userId },
+          { blockedId: userId }
+        ]
+      },
+      attributes: ['blockerId', 'blockedId']
+    });
+
+    return [...new Set(blocks.map(block => (
+      block.blockerId === userId ? block.blockedId : block.blockerId
+    )))];
+  },
+
+  block: async (blockerId, blockedId) => {
+    await assertOtherUser(blockerId, blockedId);
+
+    const existing = await UserBlock.findOne({ where: { blockerId, blockedId } });
+
+    return existing || UserBlock.create({ blockerId, blockedId });
+  },
+
+  // Returns whether there was a block to remove
+  unblock: async (blockerId, blockedId) => {
+    const removed = await UserBlock.destroy({ where: { blockerId, blockedId } });
+    return removed > 0;
+  },
+
+  // Mute a user, optionally until a point in time
+  mute: async (userId, mutedUserId, until = null) => {
+    await assertOtherUser(userId, mutedUserId);
+
+    const existing = await UserMute.findOne({ where: { userId, mutedUserId } });
+
+    if (existing) {
+      existing.until = until;
+      return existing.save();
+    }
+
+    return UserMute.create({ userId, mutedUserId, until });
+  },
+
+  unmute: async (userId, mutedUserId) => {
+    const removed = await UserMute.destroy({ where: { userId, mutedUserId } });
+    return removed > 0;
+  },
+
+  // Whether the user currently has the other user muted
+  isMuted: async (userId, mutedUserId) => {
+    const count = await UserMute.count({
+      where: {
+        userId,
+        mutedUserId,
+        [Op.or]: [
+          { until: null },
+          { until: { [Op.gt]: new Date() } }
+        ]
+      }
+    });
+
+    return count > 0;
+  }
+};
+
+module.exports = blockService;
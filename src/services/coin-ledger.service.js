@@ -0,0 +1,256 @@
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Trade, CoinLedgerEntry } = require('../models');
+
+const SYSTEM_ACCOUNT = 'system';
+const userAccount = (userId) => `user:${userId}`;
+const tradeAccount = (tradeId) => `trade:${tradeId}`;
+
+const userIdFromAccount = (account) => (account.startsWith('user:') ? account.slice('user:'.length) : null);
+
+class InsufficientCoinsError extends Error {
+  constructor(balance, required) {
+    super(`Insufficient trade coins: ${balance} available, ${required} required`);
+    this.name = 'InsufficientCoinsError';
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
+// Apply one side of a transfer to a user's cached balance. With allowDebt the balance
+// may go below zero; the user then cannot spend coins until it is positive again.
+const applyToUser = async (userId, amount, transaction, { allowDebt = false } = {}) => {
+  const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  if (amount < 0 && !allowDebt && user.tradeCoins + amount < 0) {
+    throw new InsufficientCoinsError(user.tradeCoins, -amount);
+  }
+
+  user.tradeCoins += amount;
+  await user.save({ transaction });
+};
+
+// Move coins between two accounts, writing a debit and a credit entry.
+// User accounts also update the cached User.tradeCoins balance.
+const transfer = async ({ from, to, amount, type, tradeId = null, description = null, allowDebt = false, transaction }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Transfer amount must be a positive integer');
+  }
+
+  const transactionId = uuidv4();
+  const fromUserId = userIdFromAccount(from);
+  const toUserId = userIdFromAccount(to);
+
+  if (fromUserId) await applyToUser(fromUserId, -amount, transaction, { allowDebt });
+  if (toUserId) await applyToUser(toUserId, amount, transaction);
+
+  return CoinLedgerEntry.bulkCreate([
+    { transactionId, account: from, userId: fromUserId, tradeId, amount: -amount, type, description },
+    { transactionId, account: to, userId: toUserId, tradeId, amount, type, description }
+  ], { transaction });
+};
+
+// Sum of all entries on an account
+const getAccountBalance = async (account, transaction) => {
+  const total = await CoinLedgerEntry.sum('amount', { where: { account }, transaction });
+  return total || 0;
+};
+
+// Coins currently held for a trade
+const getHeldAmount = (tradeId, transaction) => getAccountBalance(tradeAccount(tradeId), transaction);
+
+const coinLedger = {
+  InsufficientCoinsError,
+
+  transfer,
+
+  getHeldAmount,
+
+  // Credit starting coins to a new user
+  grantSignupBonus: (userId, amount, transaction) => transfer({
+    from: SYSTEM_ACCOUNT,
+    to: userAccount(userId),
+    amount,
+    type: 'signup_bonus',
+    description: 'Welcome bonus',
+    transaction
+  }),
+
+  // Hold the proposer's coins for a trade, topping up any existing reservation
+  reserveForTrade: async (trade, transaction) => {
+    const held = await getHeldAmount(trade.id, transaction);
+    const required = trade.tradeCoinAmount - held;
+
+    if (required <= 0) return;
+
+    await transfer({
+      from: userAccount(trade.proposerId),
+      to: tradeAccount(trade.id),
+      amount: required,
+      type: 'reservation',
+      tradeId: trade.id,
+      description: 'Coins reserved for trade',
+      transaction
+    });
+  },
+
+  // Return any held coins to the proposer (rejection, cancellation, ...)
+  releaseTradeReservation: async (trade, transaction) => {
+    const held = await getHeldAmount(trade.id, transaction);
+
+    if (held <= 0) return;
+
+    await transfer({
+      from: tradeAccount(trade.id),
+      to: userAccount(trade.proposerId),
+      amount: held,
+      type: 'release',
+      tradeId: trade.id,
+      description: 'Reserved coins released',
+      transaction
+    });
+  },
+
+  // Pay the held coins to the receiver once the trade completes
+  settleTrade: async (trade, transaction) => {
+    if (!trade.tradeCoinAmount || trade.tradeCoinAmount <= 0) return;
+
+    await coinLedger.reserveForTrade(trade, transaction);
+
+    await transfer({
+      from: tradeAccount(trade.id),
+      to: userAccount(trade.receiverId),
+      amount: trade.tradeCoinAmount,
+      type: 'payment',
+      tradeId: trade.id,
+      description: 'Trade payment',
+      transaction
+    });
+  },
+
+  // Return a settled trade payment from the receiver to the proposer (dispute reversal).
+  // A receiver who already spent the coins is left owing them, so a reversal always goes through.
+  refundTradePayment: async (trade, transaction) => {
+    if (!trade.tradeCoinAmount || trade.tradeCoinAmount <= 0) return;
+
+    await transfer({
+      from: userAccount(trade.receiverId),
+      to: userAccount(trade.proposerId),
+      amount: trade.tradeCoinAmount,
+      type: 'refund',
+      tradeId: trade.id,
+      description: 'Trade payment refunded after dispute',
+      allowDebt: true,
+      transaction
+    });
+  },
+
+  // Coins the user has reserved in open trades
+  getReservedAmount: async (userId) => {
+    const trades = await Trade.findAll({
+      where: { proposerId: userId, tradeCoinAmount: { [Op.gt]: 0 } },
+      attributes: ['id']
+    });
+
+    if (trades.length === 0) return 0;
+
+    const total = await CoinLedgerEntry.sum('amount', {
+      where: { account: { [Op.in]: trades.map(trade => tradeAccount(trade.id)) } }
+    });
+
+    return total || 0;
+  },
+
+  // Ledger entries for a user's account, newest first
+  getHistory: async (userId, { page = 1, limit = 20 } = {}) => {
+    const offset = (page - 1) * limit;
+
+    return CoinLedgerEntry.findAndCountAll({
+      where: { account: userAccount(userId) },
+      limit: parseInt(limit),
+      offset,
+      order: [['createdAt', 'DESC']]
+    });
+  },
+
+  // Compare a user's cached balance with the balance recomputed from the ledger
+  verifyUserBalance: async (userId) => {
+    const user = await User.findByPk(userId, { attributes: ['id', 'tradeCoins'] });
+
+    if (!user) return null;
+
+    const ledgerBalance = await getAccountBalance(userAccount(userId));
+
+    return {
+      userId,
+      cachedBalance: user.tradeCoins,
+      ledgerBalance,
+      consistent: user.tradeCoins === ledgerBalance
+    };
+  },
+
+  // Recompute every user's balance and the ledger's overall zero-sum invariant
+  verifyAllBalances: async () => {
+    const ledgerBalances = await CoinLedgerEntry.findAll({
+      where: { userId: { [Op.ne]: null } },
+      attributes: ['userId', [sequelize.fn('SUM', sequelize.col('amount')), 'balance']],
+      group: ['userId'],
+      raw: true
+    });
+
+    const balanceByUser = new Map(ledgerBalances.map(row => [row.userId, parseInt(row.balance)]));
+    const users = await User.findAll({ attributes: ['id', 'tradeCoins'] });
+
+    const mismatches = users
+      .map(user => ({
+        userId: user.id,
+        cachedBalance: user.tradeCoins,
+        ledgerBalance: balanceByUser.get(user.id) || 0
+      }))
+      .filter(result => result.cachedBalance !== result.ledgerBalance);
+
+    const ledgerTotal = (await CoinLedgerEntry.sum('amount')) || 0;
+
+    return {
+      usersChecked: users.length,
+      mismatches,
+      ledgerBalanced: ledgerTotal === 0
+    };
+  },
+
+  // Record an opening balance for users whose coins predate the ledger
+  backfillOpeningBalances: async () => {
+    const usersWithEntries = await CoinLedgerEntry.findAll({
+      where: { userId: { [Op.ne]: null } },
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('userId')), 'userId']],
+      raw: true
+    });
+
+    const users = await User.findAll({
+      where: {
+        id: { [Op.notIn]: usersWithEntries.map(row => row.userId) },
+        tradeCoins: { [Op.gt]: 0 }
+      },
+      attributes: ['id', 'tradeCoins']
+    });
+
+    for (const user of users) {
+      const transactionId = uuidv4();
+
+      // The cached balance is already correct, so only the ledger entries are written
+      await CoinLedgerEntry.bulkCreate([
+        { transactionId, account: SYSTEM_ACCOUNT, amount: -user.tradeCoins, type: 'opening_balance', description: 'Opening balance' },
+        { transactionId, account: userAccount(user.id), userId: user.id, amount: user.tradeCoins, type: 'opening_balance', description: 'Opening balance' }
+      ]);
+    }
+
+    return users.length;
+  }
+};
+
+module.exports = coinLedger;
@@ -0,0 +1,143 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Trade, User, Dispute } = require('../models');
+const coinLedger = require('./coin-ledger.service');
+const escrowService = require('./escrow.service');
+const tradeService = require('./trade.service');
+const tradeStateMachine = require('./trade-state-machine');
+const { getTradeParticipantIds } = require('../utils/trade.utils');
+
+const OUTCOMES = ['uphold', 'reverse'];
+
+// Undo the rewards and payment of a trade that had already completed
+const reverseCompletion = async (trade, transaction) => {
+  const participants = await User.findAll({
+    where: { id: { [Op.in]: getTradeParticipantIds(trade) } },
+    transaction
+  });
+
+  for (const participant of participants) {
+    participant.barterScore = Math.max(0, parseFloat((participant.barterScore - 0.5).toFixed(2)));
+    await participant.save({ transaction });
+  }
+
+  await coinLedger.refundTradePayment(trade, transaction);
+};
+
+const disputeService = {
+  OUTCOMES,
+
+  // Move a trade into dispute. Escrow is frozen and no coins move until a moderator resolves it.
+  // A null openedById means the system opened it (e.g. completion timeout).
+  openDispute: async (trade, { openedById = null, reason, evidence = [], metadata = {} }, transaction) => {
+    await tradeStateMachine.assertTransition(trade, 'dispute', openedById);
+
+    const dispute = await Dispute.create({
+      tradeId: trade.id,
+      openedById,
+      reason,
+      evidence,
+      tradeStatusAtOpen: trade.status
+    }, { transaction });
+
+    if (trade.isEscrow && trade.escrowStatus === 'held') {
+      await escrowService.freeze(trade, openedById, `Dispute opened: ${reason}`, transaction);
+    }
+
+    await tradeStateMachine.transition(trade, 'dispute', {
+      actorId: openedById,
+      reason,
+      metadata: { ...metadata, disputeId: dispute.id }
+    }, transaction);
+
+    return dispute;
+  },
+
+  // Close a dispute. uphold completes the trade as agreed (paying out held coins);
+  // reverse undoes it: coins go back to the proposer and every item is relisted.
+  resolveDispute: async (dispute, trade, { moderatorId, outcome, favouredUserId = null, note = null }, transaction) => {
+    const wasCompleted = dispute.tradeStatusAtOpen === 'completed';
+    const metadata = { disputeId: dispute.id, outcome, favouredUserId };
+
+    if (outcome === 'uphold') {
+      if (wasCompleted) {
+        // Coins were already paid out; the trade simply returns to completed
+        await tradeStateMachine.transition(trade, 'complete', { actorId: moderatorId, reason: note, metadata }, transaction);
+      } else if (trade.isEscrow) {
+        await escrowService.release(trade, moderatorId, note || 'Released by dispute resolution', transaction, metadata);
+      } else {
+        await tradeService.completeTrade(trade, { actorId: moderatorId, reason: note, metadata }, transaction);
+      }
+    } else {
+      if (trade.isEscrow && trade.escrowStatus !== 'refunded') {
+        escrowService.refund(trade, moderatorId, 'Refunded by dispute resolution');
+      }
+
+      if (wasCompleted) {
+        await reverseCompletion(trade, transaction);
+      }
+
+      await tradeService.releaseTradeHolds(trade, { relistItems: true }, transaction);
+      await tradeStateMachine.transition(trade, 'cancel', { actorId: moderatorId, reason: note, metadata }, transaction);
+    }
+
+    dispute.status = 'resolved';
+    dispute.outcome = outcome;
+    dispute.favouredUserId = favouredUserId;
+    dispute.resolvedById = moderatorId;
+    dispute.resolutionNote = note;
+    dispute.resolvedAt = new Date();
+    await dispute.save({ transaction });
+
+    return dispute;
+  },
+
+  // Open a dispute on trades where some participants never confirmed completion.
+  // Each trade is escalated in its own transaction so one failure does not block the rest.
+  escalateUnconfirmed: async () => {
+    const cutoff = new Date(Date.now() - tradeService.COMPLETION_TIMEOUT_HOURS * 60 * 60 * 1000);
+
+    const dueTrades = await Trade.findAll({
+      where: {
+        status: 'accepted',
+        isEscrow: false,
+        completionRequestedAt: { [Op.lte]: cutoff }
+      },
+      attributes: ['id']
+    });
+
+    let escalated = 0;
+
+    for (const { id } of dueTrades) {
+      const transaction = await sequelize.transaction();
+
+      try {
+        const trade = await Trade.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+        // Re-check under lock: the last confirmation may have arrived meanwhile
+        if (!trade || !await tradeStateMachine.can(trade, 'dispute', null)) {
+          await transaction.rollback();
+          continue;
+        }
+
+        const pendingUserIds = getTradeParticipantIds(trade)
+          .filter(participantId => !(trade.completionConfirmations || {})[participantId]);
+
+        await disputeService.openDispute(trade, {
+          reason: `Completion not confirmed by every participant within ${tradeService.COMPLETION_TIMEOUT_HOURS} hours`,
+          metadata: { pendingUserIds }
+        }, transaction);
+
+        await transaction.commit();
+        escalated += 1;
+      } catch (error) {
+        await transaction.rollback();
+        console.error(`Completion escalation error for trade ${id}:`, error);
+      }
+    }
+
+    return escalated;
+  }
+};
+
+module.exports = disputeService;
@@ -0,0 +1,125 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Trade } = require('../models');
+const tradeService = require('./trade.service');
+const { getTradeParticipantIds } = require('../utils/trade.utils');
+
+const ESCROW_HOLD_DAYS = 7;
+
+// Append an escrow state change to the trade's history
+const recordEscrowEvent = (trade, status, actorId, note) => {
+  trade.escrowStatus = status;
+  trade.escrowHistory = [
+    ...(trade.escrowHistory || []),
+    {
+      status,
+      actorId: actorId || null,
+      note: note || null,
+      at: new Date().toISOString()
+    }
+  ];
+};
+
+const escrowService = {
+  ESCROW_HOLD_DAYS,
+
+  // Place an accepted trade in escrow. Listings are already locked and coins
+  // reserved by acceptance, so holding only schedules the release.
+  hold: (trade, actorId) => {
+    const releaseDate = new Date();
+    releaseDate.setDate(releaseDate.getDate() + ESCROW_HOLD_DAYS);
+
+    trade.isEscrow = true;
+    trade.escrowReleaseDate = releaseDate;
+    trade.escrowConfirmations = {};
+    recordEscrowEvent(trade, 'held', actorId, `Held until ${releaseDate.toISOString()}`);
+  },
+
+  // Release escrow: the trade completes and reserved coins are paid out
+  release: async (trade, actorId, note, transaction, metadata = {}) => {
+    recordEscrowEvent(trade, 'released', actorId, note);
+    await tradeService.completeTrade(trade, { actorId, reason: note, metadata }, transaction);
+  },
+
+  // Record a participant's confirmation of receipt, releasing escrow once everyone has confirmed.
+  // Returns true when this confirmation released the escrow.
+  confirmReceipt: async (trade, userId, transaction) => {
+    trade.escrowConfirmations = {
+      ...(trade.escrowConfirmations || {}),
+      [userId]: new Date().toISOString()
+    };
+    trade.escrowHistory = [
+      ...(trade.escrowHistory || []),
+      {
+        status: trade.escrowStatus,
+        actorId: userId,
+        note: 'Receipt confirmed',
+        at: new Date().toISOString()
+      }
+    ];
+
+    const allConfirmed = getTradeParticipantIds(trade)
+      .every(participantId => trade.escrowConfirmations[participantId]);
+
+    if (allConfirmed) {
+      await escrowService.release(trade, userId, 'All parties confirmed receipt', transaction);
+      return true;
+    }
+
+    await trade.save({ transaction });
+    return false;
+  },
+
+  // Return held items and coins to their owners (e.g. cancelled trade)
+  refund: (trade, actorId, note) => {
+    recordEscrowEvent(trade, 'refunded', actorId, note);
+  },
+
+  // Stop escrow from releasing while a dispute is open. Only disputes freeze escrow;
+  // resolving the dispute releases or refunds it.
+  freeze: async (trade, actorId, reason, transaction) => {
+    recordEscrowEvent(trade, 'frozen', actorId, reason);
+    await trade.save({ transaction });
+  },
+
+  // Release every held escrow whose release date has passed.
+  // Each trade is released in its own transaction so one failure does not block the rest.
+  releaseDue: async () => {
+    const dueTrades = await Trade.findAll({
+      where: {
+        isEscrow: true,
+        escrowStatus: 'held',
+        status: 'accepted',
+        escrowReleaseDate: { [Op.lte]: new Date() }
+      },
+      attributes: ['id']
+    });
+
+    let released = 0;
+
+    for (const { id } of dueTrades) {
+      const transaction = await sequelize.transaction();
+
+      try {
+        const trade = await Trade.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+        // Re-check under lock: the trade may have been confirmed or frozen meanwhile
+        if (!trade || trade.escrowStatus !== 'held' || trade.status !== 'accepted') {
+          await transaction.rollback();
+          continue;
+        }
+
+        await escrowService.release(trade, null, 'Released automatically on release date', transaction);
+        await transaction.commit();
+        released += 1;
+      } catch (error) {
+        await transaction.rollback();
+        console.error(`Escrow release error for trade ${id}:`, error);
+      }
+    }
+
+    return released;
+  }
+};
+
+module.exports = escrowService;
@@ -0,0 +1,102 @@
+const { Op } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+const { UserEvent } = require('../models');
+const socketService = require('./socket.service');
+const notificationService = require('./notifications');
+const { getTradeParticipantIds } = require('../utils/trade.utils');
+
+const MAX_REPLAY_EVENTS = 500;
+
+class ReplayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ReplayError';
+    this.status = status;
+  }
+}
+
+// Push to open sockets, and to the user's devices and inbox
+const deliver = (events) => {
+  for (const event of events) {
+    socketService.emitToUser(event.userId, event.type, event.toJSON());
+
+    notificationService.notifyForEvent(event)
+      .catch(error => console.error(`Notification error for event ${event.id}:`, error));
+  }
+};
+
+const eventStream = {
+  ReplayError,
+
+  MAX_REPLAY_EVENTS,
+
+  // Store an event for each user and push it to their sockets. Inside a transaction
+  // the push waits for the commit, so clients never see changes that were rolled back.
+  publish: async (userIds, type, payload, transaction) => {
+    const recipientIds = [...new Set(userIds.filter(Boolean))];
+
+    if (recipientIds.length === 0) return [];
+
+    const events = await UserEvent.bulkCreate(
+      recipientIds.map(userId => ({ userId, type, payload })),
+      { transaction }
+    );
+
+    if (transaction) {
+      transaction.afterCommit(() => deliver(events));
+    } else {
+      deliver(events);
+    }
+
+    return events;
+  },
+
+  // Notify every participant of a trade (proposer and receiver, or the whole chain)
+  publishTradeEvent: (trade, type, { actorId = null } = {}, transaction) => eventStream.publish(
+    getTradeParticipantIds(trade),
+    type,
+    { tradeId: trade.id, status: trade.status, actorId, trade: trade.toJSON() },
+    transaction
+  ),
+
+  // Events a user received after the last one the client has (after, an event id), oldest first.
+  // Ties on createdAt are broken by id so paging never skips or repeats an event. Clients with
+  // no events yet start from a timestamp (since), inclusive; they drop any ids they already have.
+  replay: async (userId, { after, since }, { limit = 100 } = {}) => {
+    let where;
+
+    if (after) {
+      const cursor = isUuid(after) && await UserEvent.findOne({
+        where: { id: after, userId },
+        attributes: ['id', 'createdAt']
+      });
+
+      if (!cursor) {
+        throw new ReplayError(400, 'Cursor event not found');
+      }
+
+      where = {
+        [Op.or]: [
+          { createdAt: { [Op.gt]: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { [Op.gt]: cursor.id } }
+        ]
+      };
+    } else {
+      const sinceDate = new Date(since);
+
+      if (!since || isNaN(sinceDate.getTime())) {
+        throw new ReplayError(400, 'An after event id or a valid since timestamp is required');
+      }
+
+      where = { createdAt: { [Op.gte]: sinceDate } };
+    }
+
+    return UserEvent.findAll({
+      where: { userId, ...where },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: Math.min(parseInt(limit) || 100, MAX_REPLAY_EVENTS)
+    });
+  }
+};
+
+module.exports = eventStream;
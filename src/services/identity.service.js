@@ -0,0 +1,72 @@
+const { sequelize } = require('../config/database');
+const { User, UserIdentity } = require('../models');
+
+class IdentityError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'IdentityError';
+    this.status = status;
+  }
+}
+
+const isSameEmail = (email, otherEmail) => email.toLowerCase() === (otherEmail || '').toLowerCase();
+
+// Binds verified sign-in tokens ({ uid, email, emailVerified, name, picture }) to users.
+// A user's id is the uid they registered with; uids linked later resolve through UserIdentity.
+const identityService = {
+  IdentityError,
+
+  // The user a token uid belongs to, or null when it is not registered yet
+  findUserByUid: async (uid, options = {}) => {
+    const user = await User.findByPk(uid, options);
+
+    if (user) return user;
+
+    const identity = await UserIdentity.findByPk(uid, { attributes: ['userId'], transaction: options.transaction });
+
+    return identity ? User.findByPk(identity.userId, options) : null;
+  },
+
+  // The user registered with an email, if any (case-insensitive)
+  findUserByEmail: (email, transaction) => User.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), email.toLowerCase()),
+    transaction
+  }),
+
+  // Link the token's uid to a user with the same email. Both sides must have verified
+  // the email, otherwise anyone could claim an account by signing up with its address.
+  linkIdentity: async (user, identity, transaction) => {
+    if (!identity.emailVerified || !user.emailVerified) {
+      throw new IdentityError(409, 'An account with this email already exists. Verify your email on both sign-ins to link them');
+    }
+
+    await UserIdentity.create({
+      uid: identity.uid,
+      email: identity.email,
+      userId: user.id
+    }, { transaction });
+
+    return user;
+  },
+
+  // Copy a changed email, its verification state and the display name from the token to the user
+  syncProfile: async (user, identity, transaction) => {
+    // Only the uid the user registered with owns the email; linked sign-ins share it
+    if (identity.uid === user.id && identity.email && !isSameEmail(identity.email, user.email)) {
+      const emailOwner = await identityService.findUserByEmail(identity.email, transaction);
+
+      if (!emailOwner) user.email = identity.email;
+    }
+
+    if (identity.email && isSameEmail(identity.email, user.email)) {
+      user.emailVerified = identity.emailVerified;
+    }
+
+    if (identity.name) user.displayName = identity.name;
+
+    await user.save({ transaction });
+    return user;
+  }
+};
+
+module.exports = identityService;
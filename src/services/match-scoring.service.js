@@ -0,0 +1,108 @@
+const { getPreferredCategories } = require('../utils/trade.utils');
+const { distanceBetween } = require('../utils/geo.utils');
+
+const WEIGHTS = {
+  category: 0.3,
+  value: 0.25,
+  trust: 0.2,
+  recency: 0.1,
+  distance: 0.15
+};
+
+const DEFAULT_DISTANCE_KM = 50;
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+// How well the candidate fits what each side wants. Mostly driven by whether the
+// user wants the candidate's category, with a bonus when the other owner wants ours.
+const categoryScore = (userListing, candidate) => {
+  const wanted = getPreferredCategories(
+    userListing.tradePreferences,
+    userListing.owner && userListing.owner.tradePreferences
+  );
+  const theirWanted = getPreferredCategories(
+    candidate.tradePreferences,
+    candidate.owner && candidate.owner.tradePreferences
+  );
+
+  const candidateCategory = (candidate.category || '').toLowerCase();
+  const userCategory = (userListing.category || '').toLowerCase();
+
+  const weWant = wanted.size === 0 ? 0.5 : (wanted.has(candidateCategory) ? 1 : 0);
+  const theyWant = theirWanted.size === 0 ? 0.5 : (theirWanted.has(userCategory) ? 1 : 0);
+
+  return weWant * 0.7 + theyWant * 0.3;
+};
+
+// 1 when both estimated values are equal; neutral when either is unknown
+const valueScore = (userListing, candidate) => {
+  if (!userListing.estimatedValue || !candidate.estimatedValue) return 0.5;
+
+  return Math.min(userListing.estimatedValue, candidate.estimatedValue) /
+    Math.max(userListing.estimatedValue, candidate.estimatedValue);
+};
+
+const trustScore = (candidate) => {
+  const owner = candidate.owner || {};
+  const barterScore = Math.min(Math.max(owner.barterScore || 0, 0) / 5, 1);
+
+  return barterScore * 0.8 + (owner.isVerified ? 0.2 : 0);
+};
+
+// Halves every RECENCY_HALF_LIFE_DAYS since the candidate was listed
+const recencyScore = (candidate, now) => {
+  if (!candidate.createdAt) return 0.5;
+
+  const ageDays = Math.max(now - new Date(candidate.createdAt).getTime(), 0) / (24 * 60 * 60 * 1000);
+
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+const distanceScore = (distanceKm, maxDistance) => {
+  if (distanceKm === null) return 0.5;
+
+  return Math.max(0, 1 - distanceKm / (maxDistance || DEFAULT_DISTANCE_KM));
+};
+
+// Score a single candidate against the user's listing
+const scoreMatch = (userListing, candidate, { maxDistance, now = Date.now() } = {}) => {
+  const distanceKm = distanceBetween(userListing, candidate);
+
+  const breakdown = {
+    category: round(categoryScore(userListing, candidate)),
+    value: round(valueScore(userListing, candidate)),
+    trust: round(trustScore(candidate)),
+    recency: round(recencyScore(candidate, now)),
+    distance: round(distanceScore(distanceKm, maxDistance))
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + breakdown[key] * WEIGHTS[key], 0);
+
+  return {
+    score: round(score),
+    breakdown,
+    // Rounded so a match does not reveal where its owner is
+    distanceKm: distanceKm === null ? null : parseFloat(distanceKm.toFixed(1))
+  };
+};
+
+// Score and sort candidates, dropping those known to be beyond maxDistance
+const rankMatches = (userListing, candidates, options = {}) => {
+  const maxDistance = options.maxDistance ? parseFloat(options.maxDistance) : null;
+  const now = Date.now();
+
+  return candidates
+    .map(candidate => ({
+      listing: candidate,
+      ...scoreMatch(userListing, candidate, { maxDistance, now })
+    }))
+    .filter(match => !maxDistance || match.distanceKm === null || match.distanceKm <= maxDistance)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  WEIGHTS,
+  scoreMatch,
+  rankMatches
+};
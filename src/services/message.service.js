@@ -0,0 +1,905 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Conversation, ConversationParticipant, Message, MessageReaction, User, Trade, Listing } = require('../models');
+const storage = require('./storage');
+const socketService = require('./socket.service');
+const eventStream = require('./event-stream.service');
+const coinLedger = require('./coin-ledger.service');
+const tradeNegotiation = require('./trade-negotiation.service');
+const tradeStateMachine = require('./trade-state-machine');
+const blockService = require('./block.service');
+const { isTradeParticipant, getTradeParticipantIds } = require('../utils/trade.utils');
+
+class MessageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MessageError';
+    this.status = status;
+  }
+}
+
+// Members are the recorded participants plus the user pair of a direct
+// conversation (conversations from before participants were recorded only have the pair)
+const isConversationMember = async (conversation, userId, transaction) => {
+  if (conversation.user1Id === userId || conversation.user2Id === userId) return true;
+
+  const participantCount = await ConversationParticipant.count({
+    where: { conversationId: conversation.id, userId },
+    transaction
+  });
+
+  return participantCount > 0;
+};
+
+const getMemberIds = async (conversation, transaction) => {
+  const participants = await ConversationParticipant.findAll({
+    where: { conversationId: conversation.id },
+    attributes: ['userId'],
+    transaction
+  });
+
+  return [...new Set([
+    conversation.user1Id,
+    conversation.user2Id,
+    ...participants.map(participant => participant.userId)
+  ].filter(Boolean))];
+};
+
+const createConversation = async (attributes, memberIds, transaction) => {
+  const conversation = await Conversation.create(attributes, { transaction });
+
+  await ConversationParticipant.bulkCreate([...new Set(memberIds)].map(userId => ({
+    conversationId: conversation.id,
+    userId
+  })), { transaction });
+
+  return conversation;
+};
+
+const otherMember = (conversation, userId) => (
+  conversation.user1Id === userId ? conversation.user2Id : conversation.user1Id
+);
+
+const STRUCTURED_KINDS = ['offer', 'counter_offer', 'meetup_proposal'];
+const KINDS = ['text', ...STRUCTURED_KINDS];
+
+// Trades a meetup can still be arranged for
+const OPEN_TRADE_STATUSES = ['proposed', 'accepted'];
+
+const userAttributes = ['id', 'username', 'profilePicture'];
+
+// How long after sending a message its sender may edit it or delete it for everyone
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15');
+
+const DELETE_SCOPES = ['self', 'everyone'];
+
+const MAX_EMOJI_LENGTH = 32;
+
+const isWithinEditWindow = (message) => (
+  Date.now() - new Date(message.createdAt).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000
+);
+
+// Trade rule violations surface to the sender with their own status
+const toMessageError = (error) => {
+  if (error instanceof tradeStateMachine.TradeTransitionError) {
+    return new MessageError(error.status, error.message);
+  }
+
+  if (error instanceof coinLedger.InsufficientCoinsError) {
+    return new MessageError(400, error.message);
+  }
+
+  return error;
+};
+
+const assertNotBlocked = async (userId, otherUserId, transaction) => {
+  if (await blockService.isBlockedBetween(userId, otherUserId, transaction)) {
+    throw new MessageError(403, 'You cannot message this user');
+  }
+};
+
+const pairWhere = (userId, otherUserId) => ({
+  [Op.or]: [
+    { user1Id: userId, user2Id: otherUserId },
+    { user1Id: otherUserId, user2Id: userId }
+  ]
+});
+
+// Terms of a trade as stored on offer messages
+const tradeTerms = (trade) => ({
+  proposerListingId: trade.proposerListingId,
+  receiverListingId: trade.receiverListingId,
+  tradeCoinAmount: trade.tradeCoinAmount,
+  notes: trade.notes || null
+});
+
+// Group thread for everyone in a multi-party trade chain
+const findOrCreateTradeGroup = async (trade, transaction) => {
+  const conversation = await Conversation.findOne({ where: { tradeId: trade.id }, transaction });
+
+  if (conversation) return conversation;
+
+  return createConversation({
+    tradeId: trade.id,
+    isGroup: true
+  }, getTradeParticipantIds(trade), transaction);
+};
+
+// Conversation about a trade: between proposer and receiver, or the group
+// thread of a multi-party trade
+const findTradeConversation = async (userId, tradeId, transaction) => {
+  const trade = await Trade.findByPk(tradeId, { transaction });
+
+  if (!trade) {
+    throw new MessageError(404, 'Trade not found');
+  }
+
+  if (!isTradeParticipant(trade, userId)) {
+    throw new MessageError(403, 'Unauthorized: You are not part of this trade');
+  }
+
+  if (trade.type === 'multi-party') {
+    return findOrCreateTradeGroup(trade, transaction);
+  }
+
+  await assertNotBlocked(trade.proposerId, trade.receiverId, transaction);
+
+  const conversation = await Conversation.findOne({ where: { tradeId: trade.id }, transaction });
+
+  if (conversation) return conversation;
+
+  return createConversation({
+    user1Id: trade.proposerId,
+    user2Id: trade.receiverId,
+    tradeId: trade.id
+  }, [trade.proposerId, trade.receiverId], transaction);
+};
+
+// Inquiry about a listing. The owner names which inquirer they are writing to.
+const findListingConversation = async (userId, listingId, receiverId, transaction) => {
+  const listing = await Listing.findByPk(listingId, { transaction });
+
+  if (!listing) {
+    throw new MessageError(404, 'Listing not found');
+  }
+
+  const otherUserId = listing.userId === userId ? receiverId : listing.userId;
+
+  if (!otherUserId || otherUserId === userId) {
+    throw new MessageError(400, 'receiverId is required to message about your own listing');
+  }
+
+  await assertNotBlocked(userId, otherUserId, transaction);
+
+  const conversation = await Conversation.findOne({
+    where: { listingId: listing.id, ...pairWhere(userId, otherUserId) },
+    transaction
+  });
+
+  if (conversation) return conversation;
+
+  return createConversation({
+    user1Id: userId,
+    user2Id: otherUserId,
+    listingId: listing.id
+  }, [userId, otherUserId], transaction);
+};
+
+// Structured messages act on the conversation's trade. Each handler returns the
+// trade the message refers to, the terms to store and a default content.
+const structuredMessageHandlers = {
+  // Propose a trade to the other member; a listing inquiry offers for that listing
+  offer: async (senderId, conversation, payload, transaction) => {
+    const trade = await tradeNegotiation.proposeTrade(senderId, {
+      receiverId: otherMember(conversation, senderId),
+      proposerListingId: payload.proposerListingId,
+      receiverListingId: payload.receiverListingId || conversation.listingId,
+      tradeCoinAmount: payload.tradeCoinAmount,
+      notes: payload.notes
+    }, transaction);
+
+    conversation.tradeId = trade.id;
+    await conversation.save({ transaction });
+
+    return { trade, payload: tradeTerms(trade), content: 'Sent a trade offer' };
+  },
+
+  // Counter the conversation's current offer; the conversation follows the counter-offer
+  counter_offer: async (senderId, conversation, payload, transaction) => {
+    if (!conversation.tradeId) {
+      throw new MessageError(400, 'There is no trade offer in this conversation to counter');
+    }
+
+    const trade = await Trade.findByPk(conversation.tradeId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!trade) {
+      throw new MessageError(404, 'Trade not found');
+    }
+
+    const counterOffer = await tradeNegotiation.counterTrade(trade, senderId, {
+      proposerListingId: payload.proposerListingId,
+      receiverListingId: payload.receiverListingId,
+      tradeCoinAmount: payload.tradeCoinAmount,
+      notes: payload.notes
+    }, transaction);
+
+    await conversation.reload({ transaction });
+
+    return { trade: counterOffer, payload: tradeTerms(counterOffer), content: 'Sent a counter-offer' };
+  },
+
+  // Suggest where and when to meet for the conversation's trade
+  meetup_proposal: async (senderId, conversation, payload, transaction) => {
+    const trade = conversation.tradeId && await Trade.findByPk(conversation.tradeId, { transaction });
+
+    if (!trade || !OPEN_TRADE_STATUSES.includes(trade.status)) {
+      throw new MessageError(400, 'Meetups can only be proposed for an open trade');
+    }
+
+    const { meetupLocation, meetupTime } = payload;
+
+    if (!meetupLocation && !meetupTime) {
+      throw new MessageError(400, 'A meetup proposal needs a meetupLocation or meetupTime');
+    }
+
+    if (meetupTime && isNaN(new Date(meetupTime).getTime())) {
+      throw new MessageError(400, 'meetupTime must be a valid timestamp');
+    }
+
+    // A new proposal replaces any still awaiting an answer
+    await Message.update(
+      { actionStatus: 'superseded', respondedAt: new Date() },
+      {
+        where: { conversationId: conversation.id, kind: 'meetup_proposal', actionStatus: 'pending' },
+        transaction
+      }
+    );
+
+    return {
+      trade,
+      payload: {
+        meetupLocation: meetupLocation || null,
+        meetupTime: meetupTime ? new Date(meetupTime).toISOString() : null
+      },
+      content: 'Proposed a meetup'
+    };
+  }
+};
+
+// Changes to existing messages go to every member's event stream, which also
+// reaches their open sockets and lets reconnecting clients catch up
+const broadcastMessageEvent = async (conversation, type, payload) => (
+  eventStream.publish(await getMemberIds(conversation), type, payload)
+);
+
+// Reply target must be a live message in the same conversation
+const findReplyTarget = async (replyToId, conversationId, transaction) => {
+  const target = await Message.findByPk(replyToId, { transaction });
+
+  if (!target || target.conversationId !== conversationId) {
+    throw new MessageError(404, 'The message you are replying to was not found in this conversation');
+  }
+
+  if (target.deletedAt) {
+    throw new MessageError(400, 'Cannot reply to a deleted message');
+  }
+
+  return target;
+};
+
+// Accept or decline a structured message on behalf of its recipient
+const applyResponse = async (message, userId, action, transaction) => {
+  const trade = await Trade.findByPk(message.tradeId, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!trade) {
+    throw new MessageError(404, 'Trade not found');
+  }
+
+  if (message.kind !== 'meetup_proposal') {
+    if (action === 'accept') {
+      await tradeNegotiation.acceptTrade(trade, userId, {}, transaction);
+    } else {
+      await tradeNegotiation.rejectTrade(trade, userId, {}, transaction);
+    }
+
+    return;
+  }
+
+  if (action === 'decline') return;
+
+  if (!OPEN_TRADE_STATUSES.includes(trade.status)) {
+    throw new MessageError(400, 'The trade is no longer open');
+  }
+
+  const { meetupLocation, meetupTime } = message.payload;
+
+  if (meetupLocation) trade.meetupLocation = meetupLocation;
+  if (meetupTime) trade.meetupTime = meetupTime;
+  await trade.save({ transaction });
+
+  await tradeStateMachine.recordEvent(trade, {
+    type: 'meetup_agreed',
+    actorId: userId,
+    fromStatus: trade.status,
+    toStatus: trade.status,
+    metadata: { messageId: message.id, meetupLocation, meetupTime }
+  }, transaction);
+};
+
+// Tell the senders of receipted messages, one event per sender
+const notifySenders = (messages, event, receipt) => {
+  const messageIdsBySender = new Map();
+
+  for (const message of messages) {
+    const messageIds = messageIdsBySender.get(message.senderId) || [];
+    messageIds.push(message.id);
+    messageIdsBySender.set(message.senderId, messageIds);
+  }
+
+  for (const [senderId, messageIds] of messageIdsBySender) {
+    socketService.emitToUser(senderId, event, { ...receipt, messageIds });
+  }
+};
+
+const groupByConversation = (messages) => {
+  const groups = new Map();
+
+  for (const message of messages) {
+    const group = groups.get(message.conversationId) || [];
+    group.push(message);
+    groups.set(message.conversationId, group);
+  }
+
+  return [...groups.values()];
+};
+
+// Reading a message implies it was delivered
+const markRead = async (messages, conversationId, userId) => {
+  if (messages.length === 0) return [];
+
+  const readAt = new Date();
+  const messageIds = messages.map(message => message.id);
+
+  await Message.update(
+    { isRead: true, readAt },
+    { where: { id: { [Op.in]: messageIds } } }
+  );
+  await Message.update(
+    { deliveredAt: readAt },
+    { where: { id: { [Op.in]: messageIds }, deliveredAt: null } }
+  );
+
+  notifySenders(messages, 'message:read', { conversationId, userId, readAt });
+
+  return messageIds;
+};
+
+const messageService = {
+  MessageError,
+
+  isConversationMember,
+
+  getMemberIds,
+
+  KINDS,
+
+  findOrCreateTradeGroup,
+
+  // Ids of every conversation the user belongs to
+  getUserConversationIds: async (userId) => {
+    const [pairConversations, participations] = await Promise.all([
+      Conversation.findAll({
+        where: {
+          [Op.or]: [
+            { user1Id: userId },
+            { user2Id: userId }
+          ]
+        },
+        attributes: ['id']
+      }),
+      ConversationParticipant.findAll({ where: { userId }, attributes: ['conversationId'] })
+    ]);
+
+    return [...new Set([
+      ...pairConversations.map(conversation => conversation.id),
+      ...participations.map(participation => participation.conversationId)
+    ])];
+  },
+
+  // Find a conversation the user belongs to
+  getMemberConversation: async (conversationId, userId, transaction) => {
+    const conversation = await Conversation.findByPk(conversationId, { transaction });
+
+    if (!conversation) {
+      throw new MessageError(404, 'Conversation not found');
+    }
+
+    if (!await isConversationMember(conversation, userId, transaction)) {
+      throw new MessageError(403, 'Unauthorized: You are not part of this conversation');
+    }
+
+    return conversation;
+  },
+
+  // Conversation a message goes to: an existing one the sender belongs to, the
+  // conversation about a trade or a listing inquiry, or the general conversation
+  // with receiverId. Conversations are created on first contact.
+  resolveConversation: async (senderId, { conversationId, receiverId, tradeId, listingId }, transaction) => {
+    if (conversationId) {
+      const conversation = await messageService.getMemberConversation(conversationId, senderId, transaction);
+
+      if (!conversation.isGroup) {
+        await assertNotBlocked(senderId, otherMember(conversation, senderId), transaction);
+      }
+
+      return conversation;
+    }
+
+    if (tradeId) {
+      return findTradeConversation(senderId, tradeId, transaction);
+    }
+
+    if (listingId) {
+      return findListingConversation(senderId, listingId, receiverId, transaction);
+    }
+
+    if (!receiverId) {
+      throw new MessageError(400, 'One of conversationId, tradeId, listingId or receiverId is required');
+    }
+
+    await assertNotBlocked(senderId, receiverId, transaction);
+
+    const conversation = await Conversation.findOne({
+      where: { ...pairWhere(senderId, receiverId), tradeId: null, listingId: null },
+      transaction
+    });
+
+    if (conversation) return conversation;
+
+    return createConversation({
+      user1Id: senderId,
+      user2Id: receiverId
+    }, [senderId, receiverId], transaction);
+  },
+
+  // Persist a message, then push it to the conversation room as receive_message.
+  // REST and socket clients both send through here so they see the same data.
+  // Structured kinds (offer, counter_offer, meetup_proposal) act on the
+  // conversation's trade in the same transaction and await an answer.
+  sendMessage: async (senderId, { conversationId, receiverId, tradeId, listingId, content, kind = 'text', payload = {}, replyToId, file }) => {
+    if (!KINDS.includes(kind)) {
+      throw new MessageError(400, `Message kind must be one of: ${KINDS.join(', ')}`);
+    }
+
+    if (kind === 'text' && (!content || !String(content).trim())) {
+      throw new MessageError(400, 'Message content is required');
+    }
+
+    const transaction = await sequelize.transaction();
+    let conversation;
+    let newMessage;
+
+    try {
+      conversation = await messageService.resolveConversation(senderId, {
+        conversationId,
+        receiverId,
+        tradeId,
+        listingId
+      }, transaction);
+
+      if (kind !== 'text' && conversation.isGroup) {
+        throw new MessageError(400, 'Offers and meetup proposals can only be sent in a direct conversation');
+      }
+
+      if (replyToId) {
+        await findReplyTarget(replyToId, conversation.id, transaction);
+      }
+
+      const structured = kind === 'text'
+        ? null
+        : await structuredMessageHandlers[kind](senderId, conversation, payload || {}, transaction);
+
+      // Process media if any
+      let mediaUrl = null;
+      let mediaType = null;
+
+      if (file) {
+        mediaUrl = await storage.saveUpload(file, 'messages');
+        mediaType = file.mimetype.startsWith('image/') ? 'image' : 'video';
+      }
+
+      newMessage = await Message.create({
+        conversationId: conversation.id,
+        senderId,
+        content: content || structured.content,
+        mediaUrl,
+        mediaType,
+        isRead: false,
+        kind,
+        payload: structured ? structured.payload : {},
+        actionStatus: structured ? 'pending' : null,
+        tradeId: structured ? structured.trade.id : null,
+        replyToId: replyToId || null
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw toMessageError(error);
+    }
+
+    const sender = await User.findByPk(senderId, {
+      attributes: userAttributes
+    });
+
+    const messageWithSender = {
+      ...newMessage.toJSON(),
+      sender
+    };
+
+    socketService.emitToConversation(conversation.id, 'receive_message', messageWithSender);
+
+    // Reaches members who have not joined the conversation room
+    await eventStream.publish(await getMemberIds(conversation), 'message:new', {
+      conversationId: conversation.id,
+      message: messageWithSender
+    });
+
+    return { conversation, message: messageWithSender };
+  },
+
+  // Accept or decline an offer, counter-offer or meetup proposal sent to the user.
+  // Offers accept or reject their trade; an accepted meetup sets the trade's meetup details.
+  respondToMessage: async (userId, messageId, action) => {
+    if (!['accept', 'decline'].includes(action)) {
+      throw new MessageError(400, 'action must be accept or decline');
+    }
+
+    const transaction = await sequelize.transaction();
+    let message;
+    let conversation;
+
+    try {
+      message = await Message.findByPk(messageId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!message) {
+        throw new MessageError(404, 'Message not found');
+      }
+
+      conversation = await Conversation.findByPk(message.conversationId, { transaction });
+
+      if (!await isConversationMember(conversation, userId, transaction)) {
+        throw new MessageError(403, 'Unauthorized: You are not part of this conversation');
+      }
+
+      if (!STRUCTURED_KINDS.includes(message.kind)) {
+        throw new MessageError(400, 'Only offers and meetup proposals can be answered');
+      }
+
+      if (message.senderId === userId) {
+        throw new MessageError(403, 'You cannot answer your own message');
+      }
+
+      if (message.actionStatus !== 'pending') {
+        throw new MessageError(400, `This message is already ${message.actionStatus}`);
+      }
+
+      await applyResponse(message, userId, action, transaction);
+
+      message.actionStatus = action === 'accept' ? 'accepted' : 'declined';
+      message.respondedById = userId;
+      message.respondedAt = new Date();
+      await message.save({ transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw toMessageError(error);
+    }
+
+    const updatedMessage = message.toJSON();
+
+    await broadcastMessageEvent(conversation, 'message:updated', {
+      conversationId: conversation.id,
+      message: updatedMessage
+    });
+
+    return updatedMessage;
+  },
+
+  // Record that messages reached the user's device. Only messages sent to the user count.
+  // Returns the ids that were newly marked.
+  markDelivered: async (userId, messageIds) => {
+    if (!Array.isArray(messageIds) || messageIds.length === 0) return [];
+
+    const messages = await Message.findAll({
+      where: {
+        id: { [Op.in]: messageIds },
+        senderId: { [Op.ne]: userId },
+        deliveredAt: null
+      },
+      include: [{ model: Conversation, attributes: ['id', 'user1Id', 'user2Id'] }]
+    });
+
+    const delivered = [];
+
+    for (const conversationMessages of groupByConversation(messages)) {
+      if (await isConversationMember(conversationMessages[0].Conversation, userId)) {
+        delivered.push(...conversationMessages);
+      }
+    }
+
+    if (delivered.length === 0) return [];
+
+    const deliveredAt = new Date();
+    await Message.update(
+      { deliveredAt },
+      { where: { id: { [Op.in]: delivered.map(message => message.id) } } }
+    );
+
+    for (const conversationMessages of groupByConversation(delivered)) {
+      notifySenders(conversationMessages, 'message:delivered', {
+        conversationId: conversationMessages[0].conversationId,
+        userId,
+        deliveredAt
+      });
+    }
+
+    return delivered.map(message => message.id);
+  },
+
+  // Mark messages the user received in a conversation as read, optionally only
+  // those sent up to a point in time. Returns the ids that were newly marked.
+  markConversationRead: async (userId, conversationId, { before } = {}) => {
+    const conversation = await messageService.getMemberConversation(conversationId, userId);
+
+    const where = {
+      conversationId: conversation.id,
+      senderId: { [Op.ne]: userId },
+      readAt: null
+    };
+
+    if (before) {
+      where.createdAt = { [Op.lte]: before };
+    }
+
+    const messages = await Message.findAll({ where, attributes: ['id', 'senderId', 'deliveredAt'] });
+
+    return markRead(messages, conversation.id, userId);
+  },
+
+  // Find a message in a conversation the user belongs to. Messages the user
+  // deleted for themselves are not found.
+  getMemberMessage: async (messageId, userId) => {
+    const message = await Message.findByPk(messageId, {
+      include: [{ model: Conversation }]
+    });
+
+    if (!message || (message.hiddenFor || []).includes(userId)) {
+      throw new MessageError(404, 'Message not found');
+    }
+
+    if (!await isConversationMember(message.Conversation, userId)) {
+      throw new MessageError(403, 'Unauthorized: You are not part of this conversation');
+    }
+
+    return message;
+  },
+
+  // Mark a single received message as read
+  markMessageRead: async (userId, messageId) => {
+    const message = await messageService.getMemberMessage(messageId, userId);
+
+    if (message.readAt || message.senderId === userId) {
+      return [];
+    }
+
+    return markRead([message], message.conversationId, userId);
+  },
+
+  // Edit the text of the user's own message within the edit window, keeping the previous version
+  editMessage: async (userId, messageId, content) => {
+    const message = await messageService.getMemberMessage(messageId, userId);
+
+    if (message.senderId !== userId) {
+      throw new MessageError(403, 'You can only edit your own messages');
+    }
+
+    if (message.deletedAt) {
+      throw new MessageError(400, 'Deleted messages cannot be edited');
+    }
+
+    if (message.kind !== 'text') {
+      throw new MessageError(400, 'Only text messages can be edited');
+    }
+
+    if (!isWithinEditWindow(message)) {
+      throw new MessageError(400, `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+    }
+
+    if (!content || !String(content).trim()) {
+      throw new MessageError(400, 'Message content is required');
+    }
+
+    const editedAt = new Date();
+
+    message.editHistory = [
+      ...(message.editHistory || []),
+      { content: message.content, editedAt: message.editedAt || message.createdAt }
+    ];
+    message.content = content;
+    message.editedAt = editedAt;
+    await message.save();
+
+    const editedMessage = message.toJSON();
+    delete editedMessage.Conversation;
+    delete editedMessage.hiddenFor;
+
+    await broadcastMessageEvent(message.Conversation, 'message:edited', {
+      conversationId: message.conversationId,
+      message: editedMessage
+    });
+
+    return editedMessage;
+  },
+
+  // Delete a message for the user only, or (the sender, within the edit window) for everyone.
+  // Deleting for everyone clears the content and media but keeps the message in place.
+  deleteMessage: async (userId, messageId, scope = 'self') => {
+    if (!DELETE_SCOPES.includes(scope)) {
+      throw new MessageError(400, `scope must be one of: ${DELETE_SCOPES.join(', ')}`);
+    }
+
+    const message = await messageService.getMemberMessage(messageId, userId);
+    const deleted = { conversationId: message.conversationId, messageId: message.id, scope };
+
+    if (scope === 'self') {
+      message.hiddenFor = [...(message.hiddenFor || []), userId];
+      await message.save();
+
+      // Only the user's own devices need to hide it
+      await eventStream.publish([userId], 'message:deleted', deleted);
+      return deleted;
+    }
+
+    if (message.senderId !== userId) {
+      throw new MessageError(403, 'You can only delete your own messages for everyone');
+    }
+
+    if (message.kind !== 'text') {
+      throw new MessageError(400, 'Offers and meetup proposals cannot be deleted for everyone');
+    }
+
+    if (message.deletedAt) {
+      throw new MessageError(400, 'Message is already deleted');
+    }
+
+    if (!isWithinEditWindow(message)) {
+      throw new MessageError(400, `Messages can only be deleted for everyone within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+    }
+
+    const { mediaUrl } = message;
+
+    message.content = '';
+    message.mediaUrl = null;
+    message.mediaType = null;
+    message.editHistory = [];
+    message.deletedAt = new Date();
+    await message.save();
+
+    await MessageReaction.destroy({ where: { messageId: message.id } });
+
+    if (mediaUrl) {
+      await storage.removeByUrl(mediaUrl);
+    }
+
+    await broadcastMessageEvent(message.Conversation, 'message:deleted', deleted);
+
+    return deleted;
+  },
+
+  // Remove a message for everyone on behalf of staff. Unlike a delete by the sender there is
+  // no time limit, and stored media is kept as evidence. Returns the removed content.
+  removeMessage: async (messageId, transaction) => {
+    const message = await Message.findByPk(messageId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    if (!message) {
+      throw new MessageError(404, 'Message not found');
+    }
+
+    if (message.deletedAt) {
+      throw new MessageError(400, 'Message is already deleted');
+    }
+
+    const removed = {
+      senderId: message.senderId,
+      conversationId: message.conversationId,
+      content: message.content,
+      mediaUrl: message.mediaUrl,
+      mediaType: message.mediaType
+    };
+
+    message.content = '';
+    message.mediaUrl = null;
+    message.mediaType = null;
+    message.editHistory = [];
+    message.deletedAt = new Date();
+    await message.save({ transaction });
+
+    await MessageReaction.destroy({ where: { messageId: message.id }, transaction });
+
+    const conversation = await Conversation.findByPk(message.conversationId, { transaction });
+    const memberIds = await getMemberIds(conversation, transaction);
+
+    await eventStream.publish(memberIds, 'message:deleted', {
+      conversationId: message.conversationId,
+      messageId: message.id,
+      scope: 'everyone',
+      removedByModerator: true
+    }, transaction);
+
+    return removed;
+  },
+
+  // Add the user's emoji reaction to a message; reacting twice with the same emoji is a no-op
+  addReaction: async (userId, messageId, emoji) => {
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.trim().length > MAX_EMOJI_LENGTH) {
+      throw new MessageError(400, 'A single emoji is required');
+    }
+
+    const message = await messageService.getMemberMessage(messageId, userId);
+
+    if (message.deletedAt) {
+      throw new MessageError(400, 'Cannot react to a deleted message');
+    }
+
+    const where = { messageId: message.id, userId, emoji: emoji.trim() };
+    const existing = await MessageReaction.findOne({ where });
+
+    if (existing) return existing;
+
+    const reaction = await MessageReaction.create(where);
+
+    await broadcastMessageEvent(message.Conversation, 'message:reaction', {
+      conversationId: message.conversationId,
+      messageId: message.id,
+      userId,
+      emoji: reaction.emoji,
+      reacted: true
+    });
+
+    return reaction;
+  },
+
+  // Remove the user's emoji reaction from a message. Returns whether there was one.
+  removeReaction: async (userId, messageId, emoji) => {
+    const message = await messageService.getMemberMessage(messageId, userId);
+
+    const removed = await MessageReaction.destroy({
+      where: { messageId: message.id, userId, emoji }
+    });
+
+    if (removed > 0) {
+      await broadcastMessageEvent(message.Conversation, 'message:reaction', {
+        conversationId: message.conversationId,
+        messageId: message.id,
+        userId,
+        emoji,
+        reacted: false
+      });
+    }
+
+    return removed > 0;
+  }
+};
+
+module.exports = messageService;
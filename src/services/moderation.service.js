@@ -0,0 +1,445 @@
+const { Op } = require('sequelize');
+const { User, Listing, Rating, Report, ModerationAction, Trade, TradeParticipant } = require('../models');
+const eventStream = require('./event-stream.service');
+const messageService = require('./message.service');
+const tradeService = require('./trade.service');
+const tradeStateMachine = require('./trade-state-machine');
+const disputeService = require('./dispute.service');
+
+class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+  }
+}
+
+const REPORT_OUTCOMES = {
+  reviewed: 'review_report',
+  dismissed: 'dismiss_report'
+};
+
+const REPORT_STATUSES = ['open', ...Object.keys(REPORT_OUTCOMES)];
+
+// Close a report as reviewed. The actor is { adminId } for staff in the console
+// or { userId } for app users with a moderation role. The report must be locked, so
+// two moderators closing it at once cannot both succeed with different outcomes.
+const closeReport = async (report, actor, status, note, transaction) => {
+  if (report.status !== 'open') {
+    throw new ModerationError(409, `Report has already been ${report.status}`);
+  }
+
+  report.status = status;
+  report.resolutionNote = note || null;
+  report.reviewedByAdminId = actor.adminId || null;
+  report.reviewedById = actor.userId || null;
+  report.reviewedAt = new Date();
+  await report.save({ transaction });
+};
+
+// Log an action by an actor. When it was taken on a report, the report is closed as reviewed.
+const recordAction = async (actor, action, { targetType, targetId, reason, reportId, metadata = {} }, transaction) => {
+  if (reportId) {
+    const report = await Report.findByPk(reportId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    if (!report) {
+      throw new ModerationError(404, 'Report not found');
+    }
+
+    await closeReport(report, actor, 'reviewed', reason, transaction);
+  }
+
+  return ModerationAction.create({
+    adminId: actor.adminId || null,
+    actorUserId: actor.userId || null,
+    action,
+    targetType,
+    targetId: String(targetId),
+    reason: reason || null,
+    reportId: reportId || null,
+    metadata
+  }, { transaction });
+};
+
+const findForUpdate = async (model, id, label, transaction) => {
+  const record = await model.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+  if (!record) {
+    throw new ModerationError(404, `${label} not found`);
+  }
+
+  return record;
+};
+
+// Whether a listing was available before it was last taken down. Listings hidden
+// by a ban were always available.
+const lastTakeDown = async (listingId, transaction) => {
+  const action = await ModerationAction.findOne({
+    where: { targetType: 'listing', targetId: listingId, action: { [Op.in]: ['hide_listing', 'remove_listing'] } },
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+
+  return { wasAvailable: !action || action.metadata.wasAvailable !== false };
+};
+
+// Hidden or removed listings are also made unavailable so they drop out of
+// browsing, matching and new trades
+const takeDownListing = async (adminId, listingId, moderationStatus, { reason, reportId }, transaction) => {
+  const listing = await findForUpdate(Listing, listingId, 'Listing', transaction);
+
+  if (listing.moderationStatus === 'removed' || listing.moderationStatus === moderationStatus) {
+    throw new ModerationError(400, `Listing is already ${listing.moderationStatus}`);
+  }
+
+  const wasAvailable = listing.moderationStatus === 'visible'
+    ? listing.isAvailable
+    : (await lastTakeDown(listing.id, transaction)).wasAvailable;
+
+  listing.moderationStatus = moderationStatus;
+  listing.isAvailable = false;
+  await listing.save({ transaction });
+
+  const action = await recordAction({ adminId }, `${moderationStatus === 'removed' ? 'remove' : 'hide'}_listing`, {
+    targetType: 'listing',
+    targetId: listing.id,
+    reason,
+    reportId,
+    metadata: { wasAvailable }
+  }, transaction);
+
+  await eventStream.publish([listing.userId], 'listing:moderated', {
+    listingId: listing.id,
+    title: listing.title,
+    moderationStatus,
+    reason: reason || null
+  }, transaction);
+
+  return { listing, action };
+};
+
+// Average of a user's visible ratings, as in ratingController.rateUser
+const recalculateBarterScore = async (userId, transaction) => {
+  const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+
+  if (!user) return;
+
+  const ratings = await Rating.findAll({
+    where: { ratedUserId: userId, isHidden: false },
+    attributes: ['score'],
+    transaction
+  });
+
+  const totalScore = ratings.reduce((sum, rating) => sum + rating.score, 0);
+
+  user.barterScore = ratings.length > 0 ? parseFloat((totalScore / ratings.length).toFixed(2)) : 0;
+  await user.save({ transaction });
+};
+
+const setRatingHidden = async (adminId, ratingId, isHidden, { reason, reportId }, transaction) => {
+  const rating = await findForUpdate(Rating, ratingId, 'Rating', transaction);
+
+  if (rating.isHidden === isHidden) {
+    throw new ModerationError(400, `Rating is already ${isHidden ? 'hidden' : 'visible'}`);
+  }
+
+  rating.isHidden = isHidden;
+  await rating.save({ transaction });
+
+  await recalculateBarterScore(rating.ratedUserId, transaction);
+
+  const action = await recordAction({ adminId }, isHidden ? 'hide_rating' : 'restore_rating', {
+    targetType: 'rating',
+    targetId: rating.id,
+    reason,
+    reportId
+  }, transaction);
+
+  return { rating, action };
+};
+
+// A banned user can no longer answer offers or confirm receipt. Their open offers, sent or
+// received, are cancelled; accepted trades become disputes (freezing any escrow) for a
+// moderator to settle.
+const closeOpenTrades = async (userId, transaction) => {
+  const participations = await TradeParticipant.findAll({ where: { userId }, attributes: ['tradeId'], transaction });
+
+  const trades = await Trade.findAll({
+    where: {
+      status: { [Op.in]: ['proposed', 'accepted'] },
+      [Op.or]: [
+        { proposerId: userId },
+        { receiverId: userId },
+        { id: { [Op.in]: participations.map(participation => participation.tradeId) } }
+      ]
+    },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const cancelledTradeIds = [];
+  const disputedTradeIds = [];
+  const reason = 'A participant was banned';
+
+  for (const trade of trades) {
+    if (trade.status === 'proposed') {
+      await tradeStateMachine.transition(trade, 'cancel', { reason, metadata: { bannedUserId: userId } }, transaction);
+      await tradeService.releaseTradeHolds(trade, { relistItems: false }, transaction);
+      cancelledTradeIds.push(trade.id);
+    } else {
+      await disputeService.openDispute(trade, { reason, metadata: { bannedUserId: userId } }, transaction);
+      disputedTradeIds.push(trade.id);
+    }
+  }
+
+  return { cancelledTradeIds, disputedTradeIds };
+};
+
+const moderationService = {
+  ModerationError,
+
+  REPORT_OUTCOMES,
+
+  // The one reports queue, oldest first. The staff console and app users with
+  // reports:review both read it here; reportedUserAttributes differ between them.
+  getReports: async ({ status = 'open', targetType, reportedUserId, page, limit }, { reportedUserAttributes }) => {
+    if (!REPORT_STATUSES.includes(status)) {
+      throw new ModerationError(400, `Status must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const where = { status };
+
+    if (targetType) where.targetType = targetType;
+    if (reportedUserId) where.reportedUserId = reportedUserId;
+
+    const reports = await Report.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'reporter', attributes: ['id', 'username', 'profilePicture'] },
+        { model: User, as: 'reportedUser', attributes: reportedUserAttributes }
+      ],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize,
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      reports: reports.rows,
+      totalReports: reports.count,
+      totalPages: Math.ceil(reports.count / pageSize),
+      currentPage
+    };
+  },
+
+  // Close a report without acting on it (dismissed), or after acting on it elsewhere (reviewed).
+  // Staff and app users with reports:review both close reports here, so every review is logged.
+  reviewReport: async (actor, reportId, { status, note }, transaction) => {
+    if (!REPORT_OUTCOMES[status]) {
+      throw new ModerationError(400, `Status must be one of: ${Object.keys(REPORT_OUTCOMES).join(', ')}`);
+    }
+
+    const report = await findForUpdate(Report, reportId, 'Report', transaction);
+
+    await closeReport(report, actor, status, note, transaction);
+
+    const action = await recordAction(actor, REPORT_OUTCOMES[status], {
+      targetType: 'report',
+      targetId: report.id,
+      reason: note
+    }, transaction);
+
+    return { report, action };
+  },
+
+  hideListing: (adminId, listingId, options, transaction) => (
+    takeDownListing(adminId, listingId, 'hidden', options, transaction)
+  ),
+
+  // Removal is final: the listing stays for the trades that reference it but cannot be restored
+  removeListing: (adminId, listingId, options, transaction) => (
+    takeDownListing(adminId, listingId, 'removed', options, transaction)
+  ),
+
+  restoreListing: async (adminId, listingId, { reason, reportId }, transaction) => {
+    const listing = await findForUpdate(Listing, listingId, 'Listing', transaction);
+
+    if (listing.moderationStatus !== 'hidden') {
+      throw new ModerationError(400, listing.moderationStatus === 'removed'
+        ? 'Removed listings cannot be restored'
+        : 'Listing is not hidden');
+    }
+
+    const { wasAvailable } = await lastTakeDown(listing.id, transaction);
+
+    listing.moderationStatus = 'visible';
+    listing.isAvailable = wasAvailable;
+    await listing.save({ transaction });
+
+    const action = await recordAction({ adminId }, 'restore_listing', {
+      targetType: 'listing',
+      targetId: listing.id,
+      reason,
+      reportId
+    }, transaction);
+
+    return { listing, action };
+  },
+
+  hideRating: (adminId, ratingId, options, transaction) => (
+    setRatingHidden(adminId, ratingId, true, options, transaction)
+  ),
+
+  restoreRating: (adminId, ratingId, options, transaction) => (
+    setRatingHidden(adminId, ratingId, false, options, transaction)
+  ),
+
+  // Clear a message for everyone in its conversation. The removed content is kept in the log.
+  removeMessage: async (adminId, messageId, { reason, reportId }, transaction) => {
+    let removed;
+
+    try {
+      removed = await messageService.removeMessage(messageId, transaction);
+    } catch (error) {
+      if (error instanceof messageService.MessageError) {
+        throw new ModerationError(error.status, error.message);
+      }
+
+      throw error;
+    }
+
+    const action = await recordAction({ adminId }, 'remove_message', {
+      targetType: 'message',
+      targetId: messageId,
+      reason,
+      reportId,
+      metadata: removed
+    }, transaction);
+
+    return { action };
+  },
+
+  // Lock a user out until a date. Suspending a suspended user changes the end date.
+  suspendUser: async (adminId, userId, { until, reason, reportId }, transaction) => {
+    const user = await findForUpdate(User, userId, 'User', transaction);
+
+    if (user.accountStatus === 'banned') {
+      throw new ModerationError(400, 'User is banned');
+    }
+
+    user.accountStatus = 'suspended';
+    user.suspendedUntil = until;
+    user.statusReason = reason || null;
+    await user.save({ transaction });
+
+    const action = await recordAction({ adminId }, 'suspend_user', {
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      reportId,
+      metadata: { until }
+    }, transaction);
+
+    return { user, action };
+  },
+
+  // Lock a user out indefinitely, hide their available listings and close their open trades
+  banUser: async (adminId, userId, { reason, reportId }, transaction) => {
+    const user = await findForUpdate(User, userId, 'User', transaction);
+
+    if (user.accountStatus === 'banned') {
+      throw new ModerationError(400, 'User is already banned');
+    }
+
+    const listings = await Listing.findAll({
+      where: { userId: user.id, moderationStatus: 'visible', isAvailable: true },
+      attributes: ['id'],
+      transaction
+    });
+    const hiddenListingIds = listings.map(listing => listing.id);
+
+    if (hiddenListingIds.length > 0) {
+      await Listing.update(
+        { moderationStatus: 'hidden', isAvailable: false },
+        { where: { id: { [Op.in]: hiddenListingIds } }, transaction }
+      );
+    }
+
+    const { cancelledTradeIds, disputedTradeIds } = await closeOpenTrades(user.id, transaction);
+
+    user.accountStatus = 'banned';
+    user.suspendedUntil = null;
+    user.statusReason = reason || null;
+    await user.save({ transaction });
+
+    const action = await recordAction({ adminId }, 'ban_user', {
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      reportId,
+      metadata: { hiddenListingIds, cancelledTradeIds, disputedTradeIds }
+    }, transaction);
+
+    return { user, action };
+  },
+
+  // Lift a suspension or ban. Listings hidden by a ban are restored unless staff
+  // have taken them down separately since.
+  reinstateUser: async (adminId, userId, { reason }, transaction) => {
+    const user = await findForUpdate(User, userId, 'User', transaction);
+
+    if (user.accountStatus === 'active') {
+      throw new ModerationError(400, 'User is not suspended or banned');
+    }
+
+    let restoredListingIds = [];
+
+    if (user.accountStatus === 'banned') {
+      const ban = await ModerationAction.findOne({
+        where: { targetType: 'user', targetId: user.id, action: 'ban_user' },
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+      const hiddenListingIds = ban ? ban.metadata.hiddenListingIds || [] : [];
+
+      const listingActions = await ModerationAction.findAll({
+        where: {
+          targetType: 'listing',
+          targetId: { [Op.in]: hiddenListingIds },
+          createdAt: { [Op.gt]: ban ? ban.createdAt : new Date(0) }
+        },
+        attributes: ['targetId'],
+        transaction
+      });
+      const actedOn = listingActions.map(listingAction => listingAction.targetId);
+
+      restoredListingIds = hiddenListingIds.filter(id => !actedOn.includes(id));
+
+      if (restoredListingIds.length > 0) {
+        await Listing.update(
+          { moderationStatus: 'visible', isAvailable: true },
+          { where: { id: { [Op.in]: restoredListingIds }, moderationStatus: 'hidden' }, transaction }
+        );
+      }
+    }
+
+    const previousStatus = user.accountStatus;
+
+    user.accountStatus = 'active';
+    user.suspendedUntil = null;
+    user.statusReason = null;
+    await user.save({ transaction });
+
+    const action = await recordAction({ adminId }, 'reinstate_user', {
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      metadata: { previousStatus, restoredListingIds }
+    }, transaction);
+
+    return { user, action };
+  }
+};
+
+module.exports = moderationService;
@@ -0,0 +1,25 @@
+// Records pushes in memory instead of sending them, for local development and tests.
+// Tokens starting with "invalid" are reported back as invalid.
+const createFakeTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+
+    sent,
+
+    send: async ({ tokens, title, body, data }) => {
+      const invalidTokens = tokens.filter(token => token.startsWith('invalid'));
+      const validTokens = tokens.filter(token => !invalidTokens.includes(token));
+
+      if (validTokens.length > 0) {
+        sent.push({ tokens: validTokens, title, body, data, at: new Date() });
+        console.log(`[fake push] ${title}: ${body} -> ${validTokens.length} device(s)`);
+      }
+
+      return { sent: validTokens.length, invalidTokens };
+    }
+  };
+};
+
+module.exports = createFakeTransport;
@@ -0,0 +1,32 @@
+const { getFirebaseAdmin } = require('../../config/firebase');
+
+// Errors meaning the token will never work again and should be forgotten
+const INVALID_TOKEN_ERRORS = [
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered'
+];
+
+// Sends pushes through Firebase Cloud Messaging
+const createFcmTransport = () => ({
+  name: 'fcm',
+
+  // Send one notification to several devices. Returns the tokens FCM rejected as invalid.
+  send: async ({ tokens, title, body, data }) => {
+    const response = await getFirebaseAdmin().messaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      // FCM data payloads only accept string values
+      data: Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key, String(value)]))
+    });
+
+    const invalidTokens = response.responses
+      .map((result, index) => (
+        !result.success && result.error && INVALID_TOKEN_ERRORS.includes(result.error.code) ? tokens[index] : null
+      ))
+      .filter(Boolean);
+
+    return { sent: response.successCount, invalidTokens };
+  }
+});
+
+module.exports = createFcmTransport;
@@ -0,0 +1,255 @@
+const { Op } = require('sequelize');
+const { User, Notification, DeviceToken } = require('../../models');
+const createFcmTransport = require('./fcm.transport');
+const createFakeTransport = require('./fake.transport');
+const blockService = require('../block.service');
+
+// Select push transport from environment
+const createTransport = () => {
+  const transportName = process.env.NOTIFICATION_TRANSPORT || 'fcm';
+
+  switch (transportName) {
+    case 'fcm':
+      return createFcmTransport();
+    case 'fake':
+      return createFakeTransport();
+    default:
+      throw new Error(`Unknown notification transport: ${transportName}`);
+  }
+};
+
+let transport = createTransport();
+
+const CATEGORIES = ['messages', 'trades', 'ratings'];
+
+const DEFAULT_PREFERENCES = {
+  push: { messages: true, trades: true, ratings: true },
+  quietHours: null
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const categoryOf = (type) => {
+  if (type.startsWith('message:')) return 'messages';
+  if (type.startsWith('trade:')) return 'trades';
+  if (type.startsWith('rating:')) return 'ratings';
+  return null;
+};
+
+const parseTime = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Minutes since midnight at a date in a time zone
+const minutesOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// User whose action caused an event, if any
+const eventActorId = (payload) => payload.actorId || (payload.message && payload.message.senderId) || null;
+
+// Describe an event stream event as a notification for its recipient,
+// or null when the recipient caused the event themselves
+const describeEvent = ({ type, userId, payload }) => {
+  const tradeData = { tradeId: payload.tradeId };
+
+  if (payload.actorId && payload.actorId === userId) return null;
+
+  switch (type) {
+    case 'trade:proposed':
+      return { title: 'New trade proposal', body: 'You received a new trade offer', data: tradeData };
+    case 'trade:accepted':
+      return { title: 'Trade accepted', body: 'Your trade was accepted', data: tradeData };
+    case 'trade:rejected':
+      return { title: 'Trade declined', body: 'Your trade offer was declined', data: tradeData };
+    case 'trade:completed':
+      return { title: 'Trade completed', body: 'Your trade is complete. Rate your trading partner', data: tradeData };
+    case 'rating:new':
+      return {
+        title: 'New rating',
+        body: `You received a ${payload.rating.score}-star rating`,
+        data: { ratingId: payload.rating.id }
+      };
+    case 'listing:moderated':
+      return {
+        title: payload.moderationStatus === 'removed' ? 'Listing removed' : 'Listing hidden',
+        body: `"${payload.title}" ${payload.moderationStatus === 'removed' ? 'was removed' : 'was hidden'} for breaking our community guidelines`,
+        data: { listingId: payload.listingId }
+      };
+    case 'verification:approved':
+      return {
+        title: 'You are verified',
+        body: 'Your identity was verified and your profile now shows the Verified User badge',
+        data: { verificationRequestId: payload.verificationRequestId }
+      };
+    case 'verification:rejected':
+      return {
+        title: 'Verification unsuccessful',
+        body: payload.note || 'We could not verify your documents. You can submit new ones',
+        data: { verificationRequestId: payload.verificationRequestId }
+      };
+    case 'message:new': {
+      const { message } = payload;
+
+      if (message.senderId === userId) return null;
+
+      return {
+        title: (message.sender && message.sender.username) || 'New message',
+        body: message.content.length > 100 ? `${message.content.slice(0, 97)}...` : message.content,
+        data: { conversationId: payload.conversationId, messageId: message.id }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const notificationService = {
+  CATEGORIES,
+
+  getTransport: () => transport,
+
+  // Swap the push transport (e.g. for a fake in tests)
+  setTransport: (newTransport) => {
+    transport = newTransport;
+  },
+
+  // A user's preferences merged over the defaults
+  getPreferences: (user) => {
+    const stored = user.notificationPreferences || {};
+
+    return {
+      push: { ...DEFAULT_PREFERENCES.push, ...(stored.push || {}) },
+      quietHours: stored.quietHours || DEFAULT_PREFERENCES.quietHours
+    };
+  },
+
+  // Returns an error message, or null when the preferences are valid
+  validatePreferences: ({ push, quietHours }) => {
+    if (push !== undefined) {
+      if (!push || typeof push !== 'object') return 'push must be an object';
+
+      for (const [category, enabled] of Object.entries(push)) {
+        if (!CATEGORIES.includes(category)) return `Unknown notification category: ${category}`;
+        if (typeof enabled !== 'boolean') return `push.${category} must be true or false`;
+      }
+    }
+
+    if (quietHours) {
+      if (!TIME_PATTERN.test(quietHours.start || '') || !TIME_PATTERN.test(quietHours.end || '')) {
+        return 'Quiet hours start and end must be HH:MM';
+      }
+
+      if (quietHours.timezone && !isValidTimeZone(quietHours.timezone)) {
+        return `Unknown time zone: ${quietHours.timezone}`;
+      }
+    }
+
+    return null;
+  },
+
+  // Whether a time falls inside quiet hours (which may span midnight)
+  isQuietTime: (quietHours, now = new Date()) => {
+    if (!quietHours) return false;
+
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    const current = minutesOfDay(now, quietHours.timezone || 'UTC');
+
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  },
+
+  // Remember a device for pushes. A token moves to the latest user who registers it.
+  registerDevice: async (userId, token, platform = null) => {
+    const existing = await DeviceToken.findOne({ where: { token } });
+
+    if (existing) {
+      existing.userId = userId;
+      existing.platform = platform || existing.platform;
+      return existing.save();
+    }
+
+    return DeviceToken.create({ userId, token, platform });
+  },
+
+  unregisterDevice: (userId, token) => DeviceToken.destroy({ where: { userId, token } }),
+
+  // Store a notification in the user's inbox and push it to their devices,
+  // unless the category is disabled or it is quiet time for the user
+  notify: async (userId, { type, title, body = null, data = {} }) => {
+    const notification = await Notification.create({ userId, type, title, body, data });
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'notificationPreferences'] });
+
+    if (!user) return notification;
+
+    const preferences = notificationService.getPreferences(user);
+    const category = categoryOf(type);
+
+    if ((category && !preferences.push[category]) || notificationService.isQuietTime(preferences.quietHours)) {
+      return notification;
+    }
+
+    const devices = await DeviceToken.findAll({ where: { userId }, attributes: ['token'] });
+
+    if (devices.length === 0) return notification;
+
+    const tokens = devices.map(device => device.token);
+    const { invalidTokens } = await transport.send({
+      tokens,
+      title,
+      body,
+      data: { ...data, type, notificationId: notification.id }
+    });
+
+    if (invalidTokens.length > 0) {
+      await DeviceToken.destroy({ where: { token: { [Op.in]: invalidTokens } } });
+    }
+
+    await DeviceToken.update(
+      { lastUsedAt: new Date() },
+      { where: { token: { [Op.in]: tokens.filter(token => !invalidTokens.includes(token)) } } }
+    );
+
+    notification.pushedAt = new Date();
+    await notification.save();
+
+    return notification;
+  },
+
+  // Notify the recipient of an event stream event, if the event warrants it
+  notifyForEvent: async (event) => {
+    const description = describeEvent(event);
+
+    if (!description) return null;
+
+    // Muted users do not cause notifications
+    const actorId = eventActorId(event.payload);
+
+    if (actorId && await blockService.isMuted(event.userId, actorId)) return null;
+
+    return notificationService.notify(event.userId, { type: event.type, ...description });
+  }
+};
+
+module.exports = notificationService;
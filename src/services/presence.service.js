@@ -0,0 +1,90 @@
+const { Op } = require('sequelize');
+const { User, Conversation, ConversationParticipant } = require('../models');
+const socketService = require('./socket.service');
+const messageService = require('./message.service');
+const blockService = require('./block.service');
+
+// Open socket count per user. Presence is tracked per server process.
+const connections = new Map();
+
+// Users who share a conversation with userId and should see their presence, unless
+// either has blocked the other
+const getConversationPartnerIds = async (userId) => {
+  const conversationIds = await messageService.getUserConversationIds(userId);
+  const hiddenUserIds = await blockService.getHiddenUserIds(userId);
+
+  const [conversations, participants] = await Promise.all([
+    Conversation.findAll({
+      where: { id: { [Op.in]: conversationIds } },
+      attributes: ['user1Id', 'user2Id']
+    }),
+    ConversationParticipant.findAll({
+      where: { conversationId: { [Op.in]: conversationIds } },
+      attributes: ['userId']
+    })
+  ]);
+
+  const partnerIds = new Set([
+    ...conversations.flatMap(conversation => [conversation.user1Id, conversation.user2Id]),
+    ...participants.map(participant => participant.userId)
+  ]);
+
+  partnerIds.delete(userId);
+  partnerIds.delete(null);
+  hiddenUserIds.forEach(hiddenUserId => partnerIds.delete(hiddenUserId));
+
+  return [...partnerIds];
+};
+
+const broadcastPresence = async (userId, online, lastSeenAt) => {
+  const partnerIds = await getConversationPartnerIds(userId);
+
+  for (const partnerId of partnerIds) {
+    socketService.emitToUser(partnerId, 'presence:update', { userId, online, lastSeenAt });
+  }
+};
+
+const presenceService = {
+  isOnline: (userId) => connections.has(userId),
+
+  // Register a new socket; the first one brings the user online
+  connect: async (userId) => {
+    const count = (connections.get(userId) || 0) + 1;
+    connections.set(userId, count);
+
+    if (count === 1) {
+      await broadcastPresence(userId, true, null);
+    }
+  },
+
+  // Unregister a socket; when the last one closes the user goes offline
+  disconnect: async (userId) => {
+    const count = (connections.get(userId) || 1) - 1;
+
+    if (count > 0) {
+      connections.set(userId, count);
+      return;
+    }
+
+    connections.delete(userId);
+
+    const lastSeenAt = new Date();
+    await User.update({ lastSeenAt }, { where: { id: userId } });
+    await broadcastPresence(userId, false, lastSeenAt);
+  },
+
+  // Online status and last-seen time of a user
+  getPresence: async (userId) => {
+    const user = await User.findByPk(userId, { attributes: ['id', 'lastSeenAt'] });
+
+    if (!user) return null;
+
+    return {
+      userId: user.id,
+      online: presenceService.isOnline(user.id),
+      lastSeenAt: user.lastSeenAt
+    };
+  }
+};
+
+module.exports = presenceService;
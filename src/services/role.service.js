@@ -0,0 +1,113 @@
+const { User, ModerationAction } = require('../models');
+
+class RoleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RoleError';
+    this.status = status;
+  }
+}
+
+const PERMISSIONS = {
+  REVIEW_REPORTS: 'reports:review',
+  RESOLVE_DISPUTES: 'disputes:resolve',
+  REVIEW_VERIFICATIONS: 'verifications:review',
+  MANAGE_ROLES: 'roles:manage'
+};
+
+// What each role may do. Roles are stored on the user, so a grant or revoke
+// applies from the user's next request.
+const ROLE_PERMISSIONS = {
+  moderator: [PERMISSIONS.REVIEW_REPORTS, PERMISSIONS.RESOLVE_DISPUTES, PERMISSIONS.REVIEW_VERIFICATIONS],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const rolesHavePermission = (roles, permission) => (
+  (roles || []).some(role => (ROLE_PERMISSIONS[role] || []).includes(permission))
+);
+
+// Written to the log directly: the moderation service depends on this one for permissions
+const logRoleChange = (actorId, action, user, role, transaction) => ModerationAction.create({
+  actorUserId: actorId,
+  action,
+  targetType: 'user',
+  targetId: user.id,
+  metadata: { role, roles: user.roles }
+}, { transaction });
+
+const roleService = {
+  RoleError,
+
+  PERMISSIONS,
+
+  ROLES,
+
+  rolesHavePermission,
+
+  // Permissions granted by a set of roles
+  permissionsFor: (roles) => [...new Set((roles || []).flatMap(role => ROLE_PERMISSIONS[role] || []))],
+
+  getUserRoles: async (userId, transaction) => {
+    if (!userId) return [];
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'roles'], transaction });
+
+    return user ? user.roles || [] : [];
+  },
+
+  hasPermission: async (userId, permission, transaction) => (
+    rolesHavePermission(await roleService.getUserRoles(userId, transaction), permission)
+  ),
+
+  // Give a user a role; granting a role they already have is a no-op. Changes are logged
+  // in the moderation log against the acting user, or no one when run from the command line.
+  grantRole: async (actorId, userId, role, transaction) => {
+    if (!ROLES.includes(role)) {
+      throw new RoleError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'username', 'roles'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!user) {
+      throw new RoleError(404, 'User not found');
+    }
+
+    if (!(user.roles || []).includes(role)) {
+      user.roles = [...(user.roles || []), role];
+      await user.save({ transaction });
+      await logRoleChange(actorId, 'grant_role', user, role, transaction);
+    }
+
+    return user;
+  },
+
+  revokeRole: async (actorId, userId, role, transaction) => {
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'username', 'roles'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!user) {
+      throw new RoleError(404, 'User not found');
+    }
+
+    if (!(user.roles || []).includes(role)) {
+      throw new RoleError(404, 'User does not have this role');
+    }
+
+    user.roles = user.roles.filter(userRole => userRole !== role);
+    await user.save({ transaction });
+    await logRoleChange(actorId, 'revoke_role', user, role, transaction);
+
+    return user;
+  }
+};
+
+module.exports = roleService;
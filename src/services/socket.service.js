@@ -0,0 +1,38 @@
+// Holds the Socket.IO server so controllers and services can push events.
+// Emitting before the server is attached (e.g. in scripts) is a no-op.
+let io = null;
+
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+const socketService = {
+  conversationRoom,
+
+  userRoom,
+
+  attach: (server) => {
+    io = server;
+  },
+
+  getIo: () => io,
+
+  // Push an event to every socket that joined a conversation
+  emitToConversation: (conversationId, event, payload) => {
+    if (!io) return;
+    io.to(conversationRoom(conversationId)).emit(event, payload);
+  },
+
+  // Push an event to every socket of a user (each socket joins its user room on connect)
+  emitToUser: (userId, event, payload) => {
+    if (!io) return;
+    io.to(userRoom(userId)).emit(event, payload);
+  },
+
+  // Drop every connection of a user, e.g. when their account is suspended
+  disconnectUser: (userId) => {
+    if (!io) return;
+    io.in(userRoom(userId)).disconnectSockets(true);
+  }
+};
+
+module.exports = socketService;
@@ -0,0 +1,116 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const createLocalDriver = require('./local.driver');
+const createS3Driver = require('./s3.driver');
+
+// Select storage driver from environment
+const createDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driverName) {
+    case 'local':
+      return createLocalDriver({
+        root: process.env.STORAGE_LOCAL_ROOT || 'uploads'
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+};
+
+const driver = createDriver();
+
+// Folders whose files are never served by the media route
+const PRIVATE_FOLDERS = ['verification', 'disputes'];
+
+const uploadKey = (file, folder) => `${folder}/${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+
+// Files are served through the media route regardless of driver
+const MEDIA_PATH = '/api/media/';
+const publicBaseUrl = () => `${(process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '')}${MEDIA_PATH}`;
+
+const storage = {
+  driver,
+
+  // Build the public URL for a storage key
+  getUrl: (key) => `${publicBaseUrl()}${key}`,
+
+  // Extract the storage key from a URL produced by getUrl
+  keyFromUrl: (url) => {
+    if (!url) return null;
+
+    const index = url.indexOf(MEDIA_PATH);
+    return index === -1 ? null : url.slice(index + MEDIA_PATH.length);
+  },
+
+  // Persist a file uploaded by multer into a folder and return its URL
+  saveUpload: async (file, folder) => {
+    const key = uploadKey(file, folder);
+    await driver.put(key, file.path, file.mimetype);
+
+    return storage.getUrl(key);
+  },
+
+  // Persist several uploaded files into a folder and return their URLs.
+  // Nothing is left stored if one fails.
+  saveUploads: async (files, folder) => {
+    const urls = [];
+
+    try {
+      for (const file of files || []) {
+        urls.push(await storage.saveUpload(file, folder));
+      }
+    } catch (error) {
+      await storage.removeUrls(urls);
+      throw error;
+    }
+
+    return urls;
+  },
+
+  // Persist a file uploaded by multer into a private folder and return its key.
+  // Callers stream private files themselves after checking access.
+  savePrivateUpload: async (file, folder) => {
+    const key = uploadKey(file, folder);
+
+    if (!storage.isPrivate(key)) {
+      throw new Error(`Not a private storage folder: ${folder}`);
+    }
+
+    await driver.put(key, file.path, file.mimetype);
+
+    return key;
+  },
+
+  // Whether a key is in a private folder (normalised first, so "a/../verification" counts)
+  isPrivate: (key) => PRIVATE_FOLDERS.includes(path.posix.normalize(String(key)).split('/')[0]),
+
+  // Remove a stored file by its public URL (ignores foreign URLs)
+  removeByUrl: async (url) => {
+    const key = storage.keyFromUrl(url);
+    if (key) await driver.remove(key);
+  },
+
+  // Remove stored files whose record was not saved. A file that cannot be removed is logged
+  // rather than hiding the error that caused the cleanup.
+  removeUrls: (urls) => Promise.all(urls.map(url => (
+    storage.removeByUrl(url).catch(error => console.error('Remove upload error:', error))
+  ))),
+
+  // Remove a stored file by its key, e.g. a private upload
+  remove: (key) => driver.remove(key),
+
+  stat: (key) => driver.stat(key),
+
+  createReadStream: (key, range) => driver.createReadStream(key, range)
+};
+
+module.exports = storage;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local disk under a root directory
+const createLocalDriver = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    // Never allow a key to escape the storage root
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    // Move a file from a temporary path into storage
+    put: async (key, sourcePath) => {
+      const destination = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+      try {
+        await fs.promises.rename(sourcePath, destination);
+      } catch (error) {
+        // Temporary directory may be on a different device
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, destination);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    // Get size of a stored file, or null if it does not exist
+    stat: async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? { size: stats.size } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Open a read stream, optionally limited to a byte range
+    createReadStream: async (key, range) => {
+      return fs.createReadStream(resolveKey(key), range || {});
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, etc.)
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    // Upload a file from a temporary path, then remove the temporary file
+    put: async (key, sourcePath, contentType) => {
+      const { size } = await fs.promises.stat(sourcePath);
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+
+      await fs.promises.unlink(sourcePath);
+    },
+
+    // Get size of a stored object, or null if it does not exist
+    stat: async (key) => {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: head.ContentLength };
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Open a read stream, optionally limited to a byte range
+    createReadStream: async (key, range) => {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined
+      }));
+
+      return object.Body;
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Driver;
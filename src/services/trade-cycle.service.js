@@ -0,0 +1,127 @@
+const { getPreferredCategories } = require('../utils/trade.utils');
+
+const DEFAULT_MAX_PARTICIPANTS = 5;
+const MAX_PARTICIPANTS_LIMIT = 6;
+const MAX_SEARCH_STEPS = 20000;
+
+// Categories the owner of a listing would accept in exchange for it
+const wantedCategories = (listing) => getPreferredCategories(
+  listing.tradePreferences,
+  listing.owner && listing.owner.tradePreferences
+);
+
+const categoryOf = (listing) => (listing.category || '').toLowerCase();
+
+// How evenly value flows around the loop: 1 when every participant gives and
+// receives the same estimated value. Missing estimates count as neutral.
+const valueBalance = (listings) => {
+  const ratios = listings.map((listing, index) => {
+    const given = listing.estimatedValue;
+    const received = listings[(index + 1) % listings.length].estimatedValue;
+
+    if (!given || !received) return 0.5;
+
+    return Math.min(given, received) / Math.max(given, received);
+  });
+
+  return ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+};
+
+// Average trust of the other participants, from barter score and verification
+const participantTrust = (listings) => {
+  const others = listings.slice(1).map(listing => listing.owner || {});
+
+  const total = others.reduce((sum, owner) => {
+    const score = Math.min(Math.max(owner.barterScore || 0, 0) / 5, 1);
+    return sum + score * 0.8 + (owner.isVerified ? 0.2 : 0);
+  }, 0);
+
+  return total / others.length;
+};
+
+// Turn an ordered loop of listings into a trade chain for proposeMultiPartyTrade.
+// The owner of each listing receives the next listing in the loop, so each
+// listing is given to the owner of the previous one.
+const toTradeChain = (listings) => listings.map((listing, index) => ({
+  userId: listing.userId,
+  listingId: listing.id,
+  receiverId: listings[(index - 1 + listings.length) % listings.length].userId
+}));
+
+// Find closed trade loops that start and end at `listing`.
+// An edge A -> B exists when the owner of A wants B's category.
+const findTradeCycles = ({ listing, candidates, maxParticipants = DEFAULT_MAX_PARTICIPANTS, limit = 10 }) => {
+  const maxLength = Math.min(Math.max(parseInt(maxParticipants) || DEFAULT_MAX_PARTICIPANTS, 3), MAX_PARTICIPANTS_LIMIT);
+  const startCategory = categoryOf(listing);
+
+  // Index candidates by category so each step only looks at wanted listings
+  const byCategory = new Map();
+  for (const candidate of candidates) {
+    if (candidate.id === listing.id || candidate.userId === listing.userId) continue;
+
+    const category = categoryOf(candidate);
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(candidate);
+  }
+
+  const wantsCache = new Map();
+  const wants = (current) => {
+    if (!wantsCache.has(current.id)) wantsCache.set(current.id, wantedCategories(current));
+    return wantsCache.get(current.id);
+  };
+
+  const cycles = [];
+  const path = [listing];
+  const usedOwners = new Set([listing.userId]);
+  let steps = 0;
+
+  const search = () => {
+    const current = path[path.length - 1];
+
+    for (const category of wants(current)) {
+      for (const next of byCategory.get(category) || []) {
+        if (++steps > MAX_SEARCH_STEPS) return;
+        if (usedOwners.has(next.userId)) continue;
+
+        path.push(next);
+        usedOwners.add(next.userId);
+
+        // Close the loop when the newest owner wants the starting listing
+        if (path.length >= 3 && wants(next).has(startCategory)) {
+          cycles.push([...path]);
+        }
+
+        if (path.length < maxLength) {
+          search();
+        }
+
+        usedOwners.delete(next.userId);
+        path.pop();
+      }
+    }
+  };
+
+  search();
+
+  return cycles
+    .map(loop => {
+      const balance = valueBalance(loop);
+      const trust = participantTrust(loop);
+
+      return {
+        tradeChain: toTradeChain(loop),
+        listings: loop,
+        participantCount: loop.length,
+        valueBalance: parseFloat(balance.toFixed(3)),
+        trust: parseFloat(trust.toFixed(3)),
+        score: parseFloat((balance * 0.6 + trust * 0.4).toFixed(3))
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.participantCount - b.participantCount)
+    .slice(0, limit);
+};
+
+module.exports = {
+  findTradeCycles,
+  wantedCategories
+};
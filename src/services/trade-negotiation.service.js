@@ -0,0 +1,312 @@
+const { Op } = require('sequelize');
+const { Trade, TradeParticipant, Listing, Conversation, Message } = require('../models');
+const coinLedger = require('./coin-ledger.service');
+const tradeService = require('./trade.service');
+const escrowService = require('./escrow.service');
+const tradeStateMachine = require('./trade-state-machine');
+const eventStream = require('./event-stream.service');
+const blockService = require('./block.service');
+const { getTradeListingIds } = require('../utils/trade.utils');
+
+const { TradeTransitionError } = tradeStateMachine;
+
+// Lock every listing in a trade and mark them unavailable.
+// Returns ids of listings that could not be locked because they are gone or already traded.
+const lockTradeListings = async (trade, transaction) => {
+  const listingIds = getTradeListingIds(trade);
+
+  const listings = await Listing.findAll({
+    where: { id: { [Op.in]: listingIds } },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const unavailableListingIds = listingIds.filter(listingId =>
+    !listings.some(listing => listing.id === listingId && listing.isAvailable)
+  );
+
+  if (unavailableListingIds.length > 0) {
+    return unavailableListingIds;
+  }
+
+  await Listing.update(
+    { isAvailable: false },
+    {
+      where: { id: { [Op.in]: listingIds } },
+      transaction
+    }
+  );
+
+  return [];
+};
+
+// Offers sent in a conversation follow the outcome of their trade
+const settleOfferMessages = (tradeId, actionStatus, transaction) => Message.update(
+  { actionStatus, respondedAt: new Date() },
+  {
+    where: {
+      tradeId,
+      kind: { [Op.in]: ['offer', 'counter_offer'] },
+      actionStatus: 'pending'
+    },
+    transaction
+  }
+);
+
+const parseCoinAmount = (tradeCoinAmount) => {
+  const coinAmount = Number(tradeCoinAmount);
+
+  if (!Number.isInteger(coinAmount) || coinAmount < 0) {
+    throw new TradeTransitionError(400, 'tradeCoinAmount must be a non-negative integer');
+  }
+
+  return coinAmount;
+};
+
+// Proposing, accepting, rejecting and countering trades. Shared by the trade
+// endpoints and by structured offers sent in a conversation.
+// Rule violations are thrown as TradeTransitionError.
+const tradeNegotiation = {
+  // Propose a direct trade between two users
+  proposeTrade: async (proposerId, { receiverId, proposerListingId, receiverListingId, tradeCoinAmount = 0, notes }, transaction) => {
+    const coinAmount = parseCoinAmount(tradeCoinAmount);
+
+    if (await blockService.isBlockedBetween(proposerId, receiverId, transaction)) {
+      throw new TradeTransitionError(403, 'You cannot trade with this user');
+    }
+
+    // Validate listings
+    const proposerListing = await Listing.findByPk(proposerListingId, { transaction });
+    const receiverListing = await Listing.findByPk(receiverListingId, { transaction });
+
+    if (!proposerListing || !receiverListing) {
+      throw new TradeTransitionError(404, 'One or both listings not found');
+    }
+
+    // Check if proposer owns their listing
+    if (proposerListing.userId !== proposerId) {
+      throw new TradeTransitionError(403, 'You do not own the proposer listing');
+    }
+
+    // Check if receiver owns their listing
+    if (receiverListing.userId !== receiverId) {
+      throw new TradeTransitionError(403, 'Receiver does not own the receiver listing');
+    }
+
+    // Check if both listings are available
+    if (!proposerListing.isAvailable || !receiverListing.isAvailable) {
+      throw new TradeTransitionError(400, 'One or both listings are not available for trade');
+    }
+
+    const newTrade = await Trade.create({
+      proposerId,
+      receiverId,
+      proposerListingId,
+      receiverListingId,
+      status: 'proposed',
+      type: 'direct',
+      tradeCoinAmount: coinAmount,
+      notes,
+      expiresAt: tradeService.proposalExpiry()
+    }, { transaction });
+
+    await tradeStateMachine.recordEvent(newTrade, {
+      type: 'propose',
+      actorId: proposerId,
+      toStatus: newTrade.status
+    }, transaction);
+
+    // Reserve the offered coins so they cannot be spent elsewhere
+    await coinLedger.reserveForTrade(newTrade, transaction);
+
+    await eventStream.publishTradeEvent(newTrade, 'trade:proposed', { actorId: proposerId }, transaction);
+
+    return newTrade;
+  },
+
+  // Accept a trade. Multi-party trades only become accepted once every participant agrees;
+  // until then the result reports how many participants are still pending.
+  acceptTrade: async (trade, userId, { meetupLocation, meetupTime, isEscrow } = {}, transaction) => {
+    await tradeStateMachine.assertTransition(trade, 'accept', userId);
+
+    if (trade.type === 'multi-party') {
+      const participant = await TradeParticipant.findOne({
+        where: { tradeId: trade.id, userId },
+        transaction
+      });
+
+      if (participant.status === 'accepted') {
+        throw new TradeTransitionError(400, 'You have already accepted this trade');
+      }
+
+      // Record this participant's acceptance
+      participant.status = 'accepted';
+      participant.respondedAt = new Date();
+      await participant.save({ transaction });
+
+      await tradeStateMachine.recordEvent(trade, {
+        type: 'participant_accept',
+        actorId: userId,
+        fromStatus: trade.status,
+        toStatus: trade.status
+      }, transaction);
+
+      // Trade only becomes accepted once every participant agrees
+      const pendingParticipants = await TradeParticipant.count({
+        where: {
+          tradeId: trade.id,
+          status: { [Op.ne]: 'accepted' }
+        },
+        transaction
+      });
+
+      if (pendingParticipants > 0) {
+        return { accepted: false, pendingParticipants };
+      }
+    }
+
+    // Mark every listing in the trade as unavailable
+    const unavailableListingIds = await lockTradeListings(trade, transaction);
+
+    if (unavailableListingIds.length > 0) {
+      throw new TradeTransitionError(400, 'One or more listings in this trade are no longer available', {
+        unavailableListingIds
+      });
+    }
+
+    // Make sure the offered coins are still held for this trade
+    await coinLedger.reserveForTrade(trade, transaction);
+
+    if (meetupLocation) trade.meetupLocation = meetupLocation;
+    if (meetupTime) trade.meetupTime = meetupTime;
+
+    // Hold items and coins until every party confirms receipt
+    if (isEscrow) {
+      escrowService.hold(trade, userId);
+    }
+
+    // Codes each party hands over at the meetup to confirm completion
+    trade.handoverCodes = tradeService.generateHandoverCodes(trade);
+
+    // Update trade status
+    await tradeStateMachine.transition(trade, 'accept', {
+      actorId: userId,
+      metadata: { isEscrow: Boolean(isEscrow) }
+    }, transaction);
+    await settleOfferMessages(trade.id, 'accepted', transaction);
+
+    await eventStream.publishTradeEvent(trade, 'trade:accepted', { actorId: userId }, transaction);
+
+    return { accepted: true, pendingParticipants: 0 };
+  },
+
+  // Reject a proposed trade
+  rejectTrade: async (trade, userId, { reason } = {}, transaction) => {
+    await tradeStateMachine.assertTransition(trade, 'reject', userId);
+
+    // A single participant rejecting ends the whole chain
+    if (trade.type === 'multi-party') {
+      await TradeParticipant.update(
+        { status: 'rejected', respondedAt: new Date() },
+        {
+          where: { tradeId: trade.id, userId },
+          transaction
+        }
+      );
+    }
+
+    // Update trade status
+    await tradeStateMachine.transition(trade, 'reject', { actorId: userId, reason }, transaction);
+    await settleOfferMessages(trade.id, 'declined', transaction);
+
+    // Return any reserved coins to the proposer
+    await coinLedger.releaseTradeReservation(trade, transaction);
+
+    await eventStream.publishTradeEvent(trade, 'trade:rejected', { actorId: userId }, transaction);
+
+    return trade;
+  },
+
+  // Counter a trade offer with revised listings or coin amount. Returns the new offer.
+  counterTrade: async (trade, userId, { proposerListingId, receiverListingId, tradeCoinAmount, notes } = {}, transaction) => {
+    await tradeStateMachine.assertTransition(trade, 'counter', userId);
+
+    if (await blockService.isBlockedBetween(trade.proposerId, trade.receiverId, transaction)) {
+      throw new TradeTransitionError(403, 'You cannot trade with this user');
+    }
+
+    // Revised terms default to the current ones
+    const revised = {
+      proposerListingId: proposerListingId || trade.proposerListingId,
+      receiverListingId: receiverListingId || trade.receiverListingId,
+      tradeCoinAmount: tradeCoinAmount === undefined ? trade.tradeCoinAmount : parseCoinAmount(tradeCoinAmount)
+    };
+
+    if (revised.proposerListingId === trade.proposerListingId &&
+        revised.receiverListingId === trade.receiverListingId &&
+        revised.tradeCoinAmount === trade.tradeCoinAmount) {
+      throw new TradeTransitionError(400, 'A counter-offer must change the listings or coin amount');
+    }
+
+    // Validate listings
+    const proposerListing = await Listing.findByPk(revised.proposerListingId, { transaction });
+    const receiverListing = await Listing.findByPk(revised.receiverListingId, { transaction });
+
+    if (!proposerListing || !receiverListing) {
+      throw new TradeTransitionError(404, 'One or both listings not found');
+    }
+
+    if (proposerListing.userId !== trade.proposerId || receiverListing.userId !== trade.receiverId) {
+      throw new TradeTransitionError(403, 'Each listing must belong to its side of the trade');
+    }
+
+    if (!proposerListing.isAvailable || !receiverListing.isAvailable) {
+      throw new TradeTransitionError(400, 'One or both listings are not available for trade');
+    }
+
+    // The revised trade keeps the same sides, so coins still flow from proposer to receiver
+    const counterOffer = await Trade.create({
+      proposerId: trade.proposerId,
+      receiverId: trade.receiverId,
+      ...revised,
+      status: 'proposed',
+      type: 'direct',
+      notes,
+      parentTradeId: trade.id,
+      counteredById: userId,
+      expiresAt: tradeService.proposalExpiry()
+    }, { transaction });
+
+    // Close the original offer and release its reserved coins
+    await tradeStateMachine.transition(trade, 'counter', {
+      actorId: userId,
+      metadata: { counterTradeId: counterOffer.id }
+    }, transaction);
+    await tradeService.releaseTradeHolds(trade, { relistItems: false }, transaction);
+    await settleOfferMessages(trade.id, 'superseded', transaction);
+
+    // Conversations about the original offer continue with the counter-offer
+    await Conversation.update(
+      { tradeId: counterOffer.id },
+      { where: { tradeId: trade.id }, transaction }
+    );
+
+    await tradeStateMachine.recordEvent(counterOffer, {
+      type: 'propose',
+      actorId: userId,
+      toStatus: counterOffer.status,
+      metadata: { parentTradeId: trade.id }
+    }, transaction);
+
+    // Coins are reserved now if the counter comes from the payer, otherwise on acceptance
+    if (userId === counterOffer.proposerId) {
+      await coinLedger.reserveForTrade(counterOffer, transaction);
+    }
+
+    await eventStream.publishTradeEvent(counterOffer, 'trade:proposed', { actorId: userId }, transaction);
+
+    return counterOffer;
+  }
+};
+
+module.exports = tradeNegotiation;
@@ -0,0 +1,197 @@
+const { TradeEvent, Dispute } = require('../models');
+const {
+  isTradeParticipant,
+  getTradeAuthorId,
+  getTradeResponderId,
+  isProposalExpired
+} = require('../utils/trade.utils');
+const roleService = require('./role.service');
+
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.TRADE_DISPUTE_WINDOW_DAYS) || 14;
+
+// Who may act on a trade. A null actor is the system (scheduled jobs).
+const ROLES = {
+  participant: (trade, actorId) => isTradeParticipant(trade, actorId),
+  // The user who made the current offer (multi-party: the proposer)
+  author: (trade, actorId) => (
+    trade.type === 'multi-party' ? trade.proposerId === actorId : getTradeAuthorId(trade) === actorId
+  ),
+  // The user the offer is waiting on (multi-party: any chain member)
+  responder: (trade, actorId) => (
+    trade.type === 'multi-party' ? isTradeParticipant(trade, actorId) : getTradeResponderId(trade) === actorId
+  ),
+  // Moderators never act as moderators on their own trades
+  moderator: async (trade, actorId) => (
+    !isTradeParticipant(trade, actorId) && roleService.hasPermission(actorId, roleService.PERMISSIONS.RESOLVE_DISPUTES)
+  ),
+  system: (trade, actorId) => actorId === null
+};
+
+// Completed trades can only be disputed for a limited time
+const isDisputeWindowClosed = (trade) => {
+  if (trade.status !== 'completed') return false;
+  if (!trade.completedAt) return true;
+
+  const windowEnd = new Date(trade.completedAt);
+  windowEnd.setDate(windowEnd.getDate() + DISPUTE_WINDOW_DAYS);
+  return windowEnd < new Date();
+};
+
+// A moderator's resolution is final, so a trade can only be disputed once
+const hasResolvedDispute = async (trade) => (
+  await Dispute.count({ where: { tradeId: trade.id, status: 'resolved' } }) > 0
+);
+
+// Legal transitions: for each action, the target status and, per source status,
+// the roles allowed to perform it. Guards (sync or async) reject otherwise legal transitions.
+const TRANSITIONS = {
+  accept: {
+    to: 'accepted',
+    from: { proposed: ['responder'] },
+    forbidden: 'Only the recipient of this offer can accept it',
+    guard: trade => (isProposalExpired(trade) ? 'Trade proposal has expired' : null)
+  },
+  reject: {
+    to: 'rejected',
+    from: { proposed: ['participant'] },
+    forbidden: 'You are not part of this trade'
+  },
+  counter: {
+    to: 'countered',
+    from: { proposed: ['responder'] },
+    forbidden: 'Only the recipient of this offer can counter it',
+    guard: trade => {
+      if (trade.type !== 'direct') return 'Counter-offers are only supported for direct trades';
+      return isProposalExpired(trade) ? 'Trade proposal has expired' : null;
+    }
+  },
+  cancel: {
+    to: 'cancelled',
+    from: { proposed: ['author', 'system'], accepted: ['participant'], disputed: ['moderator'] },
+    forbidden: 'Only the proposer can cancel this offer. Reject it instead',
+    guard: trade => (trade.escrowStatus === 'frozen' ? 'Trade cannot be cancelled while its escrow is frozen' : null)
+  },
+  complete: {
+    to: 'completed',
+    from: { accepted: ['participant', 'system'], disputed: ['moderator'] },
+    forbidden: 'Only a moderator can complete a disputed trade'
+  },
+  dispute: {
+    to: 'disputed',
+    from: { accepted: ['participant', 'system'], completed: ['participant'] },
+    forbidden: 'You are not part of this trade',
+    guard: async trade => {
+      if (isDisputeWindowClosed(trade)) return 'The dispute window for this trade has closed';
+      return await hasResolvedDispute(trade) ? 'A dispute on this trade has already been resolved' : null;
+    }
+  },
+  expire: {
+    to: 'expired',
+    from: { proposed: ['system'] },
+    forbidden: 'Only the system can expire a trade'
+  }
+};
+
+// details are extra response fields, e.g. the listings that blocked an acceptance
+class TradeTransitionError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'TradeTransitionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Append an event to a trade's history
+const recordEvent = (trade, { type, actorId = null, fromStatus = null, toStatus = null, reason = null, metadata = {} }, transaction) => (
+  TradeEvent.create({
+    tradeId: trade.id,
+    actorId,
+    type,
+    fromStatus,
+    toStatus,
+    reason,
+    metadata
+  }, { transaction })
+);
+
+const tradeStateMachine = {
+  TRANSITIONS,
+
+  DISPUTE_WINDOW_DAYS,
+
+  TradeTransitionError,
+
+  recordEvent,
+
+  // Throw a TradeTransitionError unless actorId may perform action on the trade now
+  assertTransition: async (trade, action, actorId) => {
+    const transition = TRANSITIONS[action];
+
+    if (!transition) {
+      throw new Error(`Unknown trade action: ${action}`);
+    }
+
+    if (actorId !== null && !isTradeParticipant(trade, actorId) && !await ROLES.moderator(trade, actorId)) {
+      throw new TradeTransitionError(403, 'Unauthorized: You are not part of this trade');
+    }
+
+    const allowedRoles = transition.from[trade.status];
+
+    if (!allowedRoles) {
+      throw new TradeTransitionError(400, `Trade cannot be ${transition.to} because it is ${trade.status}`);
+    }
+
+    let allowed = false;
+
+    for (const role of allowedRoles) {
+      if (await ROLES[role](trade, actorId)) {
+        allowed = true;
+        break;
+      }
+    }
+
+    if (!allowed) {
+      throw new TradeTransitionError(403, `Unauthorized: ${transition.forbidden}`);
+    }
+
+    const guardError = transition.guard && await transition.guard(trade);
+
+    if (guardError) {
+      throw new TradeTransitionError(400, guardError);
+    }
+  },
+
+  // Whether actorId may perform action on the trade now
+  can: async (trade, action, actorId) => {
+    try {
+      await tradeStateMachine.assertTransition(trade, action, actorId);
+      return true;
+    } catch (error) {
+      if (error instanceof TradeTransitionError) return false;
+      throw error;
+    }
+  },
+
+  // Validate, apply and record a transition. Saves the trade.
+  transition: async (trade, action, { actorId = null, reason = null, metadata = {} } = {}, transaction) => {
+    await tradeStateMachine.assertTransition(trade, action, actorId);
+
+    const fromStatus = trade.status;
+    trade.status = TRANSITIONS[action].to;
+    await trade.save({ transaction });
+
+    await recordEvent(trade, {
+      type: action,
+      actorId,
+      fromStatus,
+      toStatus: trade.status,
+      reason,
+      metadata
+    }, transaction);
+
+    return trade;
+  }
+};
+
+module.exports = tradeStateMachine;
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Trade, Listing, User } = require('../models');
+const coinLedger = require('./coin-ledger.service');
+const tradeStateMachine = require('./trade-state-machine');
+const eventStream = require('./event-stream.service');
+const { isTradeParticipant, getTradeParticipantIds, getTradeListingIds } = require('../utils/trade.utils');
+
+const PROPOSAL_TTL_DAYS = parseInt(process.env.TRADE_PROPOSAL_TTL_DAYS) || 7;
+const COMPLETION_TIMEOUT_HOURS = parseInt(process.env.TRADE_COMPLETION_TIMEOUT_HOURS) || 72;
+
+const tradeService = {
+  PROPOSAL_TTL_DAYS,
+  COMPLETION_TIMEOUT_HOURS,
+
+  // When a proposal made now should expire
+  proposalExpiry: () => {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + PROPOSAL_TTL_DAYS);
+    return expiresAt;
+  },
+
+  // Undo the holds placed by a trade: listings become available again (unless
+  // moderators took them down) and reserved coins go back to the proposer
+  releaseTradeHolds: async (trade, { relistItems }, transaction) => {
+    if (relistItems) {
+      await Listing.update(
+        { isAvailable: true },
+        {
+          where: { id: { [Op.in]: getTradeListingIds(trade) }, moderationStatus: 'visible' },
+          transaction
+        }
+      );
+    }
+
+    await coinLedger.releaseTradeReservation(trade, transaction);
+  },
+
+  // Mark a trade completed, reward every participant and pay out reserved coins.
+  // A null actorId means the system completed it (e.g. automatic escrow release).
+  completeTrade: async (trade, { actorId = null, reason = null, metadata = {} } = {}, transaction) => {
+    trade.completedAt = new Date();
+    await tradeStateMachine.transition(trade, 'complete', { actorId, reason, metadata }, transaction);
+
+    // Load every participant (proposer and receiver, or the whole chain)
+    const participants = await User.findAll({
+      where: { id: { [Op.in]: getTradeParticipantIds(trade) } },
+      transaction
+    });
+
+    // Increase barter score for every participant
+    for (const participant of participants) {
+      participant.barterScore = parseFloat((participant.barterScore + 0.5).toFixed(2));
+      await participant.save({ transaction });
+    }
+
+    // Pay the reserved coins to the receiver
+    await coinLedger.settleTrade(trade, transaction);
+
+    await eventStream.publishTradeEvent(trade, 'trade:completed', { actorId }, transaction);
+
+    return trade;
+  },
+
+  // One short code per participant, shown to its owner and handed to the other
+  // party at the meetup (typed in or scanned as a QR code) to prove the handover
+  generateHandoverCodes: (trade) => {
+    const codes = {};
+
+    for (const userId of getTradeParticipantIds(trade)) {
+      codes[userId] = crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    return codes;
+  },
+
+  // Record a participant's confirmation that the trade took place. A handover code
+  // received from another participant confirms on their behalf as well.
+  // The trade completes once every participant has confirmed.
+  confirmCompletion: async (trade, userId, { handoverCode } = {}, transaction) => {
+    // A moderator may complete a disputed trade, but only by resolving its dispute
+    if (!isTradeParticipant(trade, userId)) {
+      throw new tradeStateMachine.TradeTransitionError(403, 'Unauthorized: Only participants can confirm completion. Moderators complete a disputed trade by resolving its dispute');
+    }
+
+    const now = new Date().toISOString();
+    const confirmations = { ...(trade.completionConfirmations || {}) };
+
+    if (!confirmations[userId]) {
+      confirmations[userId] = { at: now, method: 'manual' };
+    }
+
+    if (handoverCode) {
+      const code = String(handoverCode).trim().toUpperCase();
+      const codeOwnerId = Object.keys(trade.handoverCodes || {})
+        .find(ownerId => ownerId !== userId && trade.handoverCodes[ownerId] === code);
+
+      if (!codeOwnerId) {
+        throw new tradeStateMachine.TradeTransitionError(400, 'Invalid handover code');
+      }
+
+      if (!confirmations[codeOwnerId]) {
+        confirmations[codeOwnerId] = { at: now, method: 'handover_code', confirmedBy: userId };
+      }
+    }
+
+    trade.completionConfirmations = confirmations;
+    if (!trade.completionRequestedAt) {
+      trade.completionRequestedAt = new Date();
+    }
+
+    await tradeStateMachine.recordEvent(trade, {
+      type: 'confirm_completion',
+      actorId: userId,
+      fromStatus: trade.status,
+      toStatus: trade.status,
+      metadata: { handoverCode: Boolean(handoverCode) }
+    }, transaction);
+
+    const pendingUserIds = getTradeParticipantIds(trade).filter(participantId => !confirmations[participantId]);
+
+    if (pendingUserIds.length === 0) {
+      await tradeService.completeTrade(trade, { actorId: userId }, transaction);
+    } else {
+      await trade.save({ transaction });
+    }
+
+    return { completed: pendingUserIds.length === 0, pendingUserIds };
+  },
+
+  // Expire every proposal past its expiry date and release its reserved coins.
+  // Each trade is expired in its own transaction so one failure does not block the rest.
+  expireDue: async () => {
+    const dueTrades = await Trade.findAll({
+      where: {
+        status: 'proposed',
+        expiresAt: { [Op.lte]: new Date() }
+      },
+      attributes: ['id']
+    });
+
+    let expired = 0;
+
+    for (const { id } of dueTrades) {
+      const transaction = await sequelize.transaction();
+
+      try {
+        const trade = await Trade.findByPk(id, { lock: transaction.LOCK.UPDATE, transaction });
+
+        // Re-check under lock: the trade may have been answered meanwhile
+        if (!trade || !await tradeStateMachine.can(trade, 'expire', null)) {
+          await transaction.rollback();
+          continue;
+        }
+
+        await tradeStateMachine.transition(trade, 'expire', { reason: 'Proposal expired' }, transaction);
+        await tradeService.releaseTradeHolds(trade, { relistItems: false }, transaction);
+
+        await transaction.commit();
+        expired += 1;
+      } catch (error) {
+        await transaction.rollback();
+        console.error(`Trade expiry error for trade ${id}:`, error);
+      }
+    }
+
+    return expired;
+  }
+};
+
+module.exports = tradeService;
@@ -0,0 +1,235 @@
+const { User, VerificationRequest } = require('../../models');
+const { sequelize } = require('../../config/database');
+const storage = require('../storage');
+const eventStream = require('../event-stream.service');
+const createManualProvider = require('./manual.provider');
+const createMockProvider = require('./mock.provider');
+
+class VerificationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+// Select the verification provider from environment
+const createProvider = () => {
+  const providerName = process.env.VERIFICATION_PROVIDER || 'manual';
+
+  switch (providerName) {
+    case 'manual':
+      return createManualProvider();
+    case 'mock':
+      if (process.env.ENVIRONMENT === 'production') {
+        throw new Error('The mock verification provider cannot be used in production');
+      }
+
+      return createMockProvider({
+        decision: process.env.VERIFICATION_MOCK_DECISION || 'review'
+      });
+    default:
+      throw new Error(`Unknown verification provider: ${providerName}`);
+  }
+};
+
+let provider = createProvider();
+
+const DOCUMENT_TYPES = ['passport', 'national_id', 'drivers_license'];
+const REVIEW_STATUSES = ['approved', 'rejected'];
+const VERIFIED_BADGE = 'Verified User';
+
+// Ask the provider to check a new request. A provider that fails leaves the request to reviewers.
+const runCheck = async (request) => {
+  try {
+    const result = await provider.check(request.toJSON());
+
+    return { decision: 'review', ...result };
+  } catch (error) {
+    console.error(`Verification provider error for request ${request.id}:`, error);
+    return { decision: 'review', error: error.message };
+  }
+};
+
+// Delete documents stored for a request that was never saved. Failures are only logged.
+const removeDocuments = (documents) => Promise.all(documents.map(document => (
+  storage.remove(document.key).catch(error => console.error('Remove verification document error:', error))
+)));
+
+// Record a decision on a pending request. Only approval verifies the user.
+// A null reviewerId means the provider decided.
+const decide = async (request, user, { status, reviewerId = null, note = null }, transaction) => {
+  request.status = status;
+  request.reviewedById = reviewerId;
+  request.reviewNote = note;
+  request.reviewedAt = new Date();
+  await request.save({ transaction });
+
+  if (status === 'approved') {
+    user.isVerified = true;
+
+    if (!user.badges.includes(VERIFIED_BADGE)) {
+      user.badges = [...user.badges, VERIFIED_BADGE];
+    }
+
+    await user.save({ transaction });
+  }
+
+  await eventStream.publish([user.id], `verification:${status}`, {
+    verificationRequestId: request.id,
+    status,
+    note
+  }, transaction);
+
+  return request;
+};
+
+const verificationService = {
+  VerificationError,
+
+  DOCUMENT_TYPES,
+
+  REVIEW_STATUSES,
+
+  getProvider: () => provider,
+
+  // Swap the provider (e.g. for a mock in tests)
+  setProvider: (newProvider) => {
+    provider = newProvider;
+  },
+
+  // A user's most recent request, if any
+  getLatestRequest: (userId) => VerificationRequest.findOne({
+    where: { userId },
+    attributes: { exclude: ['documents', 'providerResult'] },
+    order: [['createdAt', 'DESC']]
+  }),
+
+  // Store a user's identity documents privately as a pending request. Call checkRequest once
+  // the transaction is committed; if it is rolled back instead, call removeDocuments.
+  submitRequest: async (userId, { documentType, files = [] }, transaction) => {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw new VerificationError(400, `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    if (files.length === 0) {
+      throw new VerificationError(400, 'At least one document is required');
+    }
+
+    if (files.some(file => !file.mimetype.startsWith('image/'))) {
+      throw new VerificationError(400, 'Documents must be images');
+    }
+
+    const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    if (!user) {
+      throw new VerificationError(404, 'User not found');
+    }
+
+    if (user.isVerified) {
+      throw new VerificationError(400, 'You are already verified');
+    }
+
+    const pendingRequest = await VerificationRequest.findOne({
+      where: { userId, status: 'pending' },
+      attributes: ['id'],
+      transaction
+    });
+
+    if (pendingRequest) {
+      throw new VerificationError(409, 'You already have a verification request pending');
+    }
+
+    const documents = [];
+
+    try {
+      for (const file of files) {
+        documents.push({
+          key: await storage.savePrivateUpload(file, `verification/${userId}`),
+          mediaType: file.mimetype,
+          at: new Date().toISOString()
+        });
+      }
+
+      return await VerificationRequest.create({
+        userId,
+        documentType,
+        documents,
+        provider: provider.name
+      }, { transaction });
+    } catch (error) {
+      await removeDocuments(documents);
+      throw error;
+    }
+  },
+
+  // Remove the documents of a request whose transaction was rolled back
+  removeDocuments: (request) => removeDocuments(request.documents || []),
+
+  // Have the provider check a committed request. No locks are held while the provider works,
+  // and its decision only applies if no reviewer decided first. Errors leave the request to
+  // reviewers rather than failing the submission.
+  checkRequest: async (requestId) => {
+    try {
+      const submitted = await VerificationRequest.findByPk(requestId);
+      const { decision, reference = null, reason = null, ...details } = await runCheck(submitted);
+
+      return await sequelize.transaction(async (transaction) => {
+        const request = await VerificationRequest.findByPk(requestId, { lock: transaction.LOCK.UPDATE, transaction });
+
+        request.providerReference = reference;
+        request.providerResult = { decision, reason, ...details };
+        await request.save({ transaction });
+
+        if (request.status !== 'pending' || (decision !== 'approve' && decision !== 'reject')) {
+          return request;
+        }
+
+        const user = await User.findByPk(request.userId, { lock: transaction.LOCK.UPDATE, transaction });
+
+        return decide(request, user, {
+          status: decision === 'approve' ? 'approved' : 'rejected',
+          note: reason
+        }, transaction);
+      });
+    } catch (error) {
+      console.error(`Verification check error for request ${requestId}:`, error);
+      return null;
+    }
+  },
+
+  // A reviewer approves or rejects a pending request. Rejections need a reason for the user.
+  reviewRequest: async (reviewerId, requestId, { status, note }, transaction) => {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new VerificationError(400, `Status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    if (status === 'rejected' && !(note && note.trim())) {
+      throw new VerificationError(400, 'A reason is required to reject a verification request');
+    }
+
+    const request = await VerificationRequest.findByPk(requestId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    if (!request) {
+      throw new VerificationError(404, 'Verification request not found');
+    }
+
+    if (request.userId === reviewerId) {
+      throw new VerificationError(403, 'You cannot review your own verification request');
+    }
+
+    if (request.status !== 'pending') {
+      throw new VerificationError(400, 'Verification request has already been reviewed');
+    }
+
+    const user = await User.findByPk(request.userId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    return decide(request, user, {
+      status,
+      reviewerId,
+      note: note ? note.trim() : null
+    }, transaction);
+  }
+};
+
+module.exports = verificationService;
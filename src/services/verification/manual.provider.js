@@ -0,0 +1,8 @@
+// Runs no automated checks: every request waits for a reviewer
+const createManualProvider = () => ({
+  name: 'manual',
+
+  check: async () => ({ decision: 'review' })
+});
+
+module.exports = createManualProvider;
@@ -0,0 +1,34 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DECISIONS = ['approve', 'reject', 'review'];
+
+// Records checks in memory and returns a fixed decision, for local development and tests.
+// Never enable it in production.
+const createMockProvider = ({ decision = 'review' } = {}) => {
+  if (!DECISIONS.includes(decision)) {
+    throw new Error(`Mock verification decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+
+  const checks = [];
+
+  return {
+    name: 'mock',
+
+    checks,
+
+    check: async (request) => {
+      const reference = `mock-${uuidv4()}`;
+
+      checks.push({ reference, request, decision, at: new Date() });
+      console.log(`[mock verification] ${request.documentType} for ${request.userId}: ${decision}`);
+
+      return {
+        decision,
+        reference,
+        reason: decision === 'reject' ? 'Rejected by the mock verification provider' : null
+      };
+    }
+  };
+};
+
+module.exports = createMockProvider;
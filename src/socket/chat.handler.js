@@ -0,0 +1,85 @@
+const messageService = require('../services/message.service');
+const socketService = require('../services/socket.service');
+
+// Reply to a client acknowledgement callback, if the client sent one
+const reply = (callback, payload) => {
+  if (typeof callback === 'function') callback(payload);
+};
+
+const replyError = (callback, error, context) => {
+  if (error instanceof messageService.MessageError) {
+    return reply(callback, { ok: false, status: error.status, message: error.message });
+  }
+
+  console.error(`${context} error:`, error);
+  reply(callback, { ok: false, status: 500, message: 'Server error' });
+};
+
+const registerChatHandlers = (io, socket) => {
+  const userId = socket.userId;
+
+  // Join a conversation room; only members may join
+  socket.on('join_room', async (conversationId, callback) => {
+    try {
+      const conversation = await messageService.getMemberConversation(conversationId, userId);
+      socket.join(socketService.conversationRoom(conversation.id));
+      reply(callback, { ok: true, conversationId: conversation.id });
+    } catch (error) {
+      replyError(callback, error, 'Socket join room');
+    }
+  });
+
+  socket.on('leave_room', (conversationId, callback) => {
+    socket.leave(socketService.conversationRoom(conversationId));
+    reply(callback, { ok: true, conversationId });
+  });
+
+  // Persist and broadcast a message; media is sent through the REST endpoint
+  socket.on('send_message', async (data, callback) => {
+    try {
+      const { conversationId, receiverId, tradeId, listingId, content, kind, payload, replyToId } = data || {};
+      const { message } = await messageService.sendMessage(userId, {
+        conversationId,
+        receiverId,
+        tradeId,
+        listingId,
+        content,
+        kind,
+        payload,
+        replyToId
+      });
+      reply(callback, { ok: true, data: message });
+    } catch (error) {
+      replyError(callback, error, 'Socket send message');
+    }
+  });
+
+  // Delivery receipt for messages received over the socket: ({ messageIds }, ack)
+  socket.on('mark_delivered', async (data, callback) => {
+    try {
+      const messageIds = await messageService.markDelivered(userId, (data || {}).messageIds);
+      reply(callback, { ok: true, messageIds });
+    } catch (error) {
+      replyError(callback, error, 'Socket mark delivered');
+    }
+  });
+
+  // Read receipt for a conversation: ({ conversationId, before }, ack)
+  socket.on('mark_read', async (data, callback) => {
+    try {
+      const { conversationId, before } = data || {};
+      const beforeDate = before ? new Date(before) : null;
+
+      if (beforeDate && isNaN(beforeDate.getTime())) {
+        return reply(callback, { ok: false, status: 400, message: 'before must be a valid timestamp' });
+      }
+
+      const messageIds = await messageService.markConversationRead(userId, conversationId, { before: beforeDate });
+      reply(callback, { ok: true, messageIds });
+    } catch (error) {
+      replyError(callback, error, 'Socket mark read');
+    }
+  });
+};
+
+module.exports = registerChatHandlers;
@@ -0,0 +1,24 @@
+const eventStream = require('../services/event-stream.service');
+
+const registerEventHandlers = (io, socket) => {
+  // Replay events missed while disconnected: ({ after, since, limit }, ack)
+  socket.on('replay', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+
+    try {
+      const { after, since, limit } = data || {};
+
+      const events = await eventStream.replay(socket.userId, { after, since }, { limit });
+      callback({ ok: true, events });
+    } catch (error) {
+      if (error instanceof eventStream.ReplayError) {
+        return callback({ ok: false, status: error.status, message: error.message });
+      }
+
+      console.error('Socket replay error:', error);
+      callback({ ok: false, status: 500, message: 'Server error' });
+    }
+  });
+};
+
+module.exports = registerEventHandlers;
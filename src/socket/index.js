@@ -0,0 +1,40 @@
+const socketIo = require('socket.io');
+const socketAuthMiddleware = require('../middlewares/socket-auth.middleware');
+const socketService = require('../services/socket.service');
+const registerChatHandlers = require('./chat.handler');
+const registerEventHandlers = require('./event.handler');
+const registerPresenceHandlers = require('./presence.handler');
+
+// Create the Socket.IO server. Every connection must carry a valid Firebase ID token.
+const initSocket = (server) => {
+  const io = socketIo(server, {
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST']
+    }
+  });
+
+  io.use(socketAuthMiddleware);
+
+  io.on('connection', (socket) => {
+    console.log(`User ${socket.userId} connected`);
+
+    // Personal channel for trade, rating and message events
+    socket.join(socketService.userRoom(socket.userId));
+
+    registerChatHandlers(io, socket);
+    registerEventHandlers(io, socket);
+    registerPresenceHandlers(io, socket);
+
+    // Disconnect event
+    socket.on('disconnect', () => {
+      console.log(`User ${socket.userId} disconnected`);
+    });
+  });
+
+  socketService.attach(io);
+
+  return io;
+};
+
+module.exports = initSocket;
@@ -0,0 +1,37 @@
+const messageService = require('../services/message.service');
+const presenceService = require('../services/presence.service');
+const socketService = require('../services/socket.service');
+
+const registerPresenceHandlers = (io, socket) => {
+  const userId = socket.userId;
+
+  presenceService.connect(userId)
+    .catch(error => console.error('Presence connect error:', error));
+
+  socket.on('disconnect', () => {
+    presenceService.disconnect(userId)
+      .catch(error => console.error('Presence disconnect error:', error));
+  });
+
+  // Typing indicators go to the other members of a conversation room
+  const setTyping = (isTyping) => async (conversationId) => {
+    try {
+      const conversation = await messageService.getMemberConversation(conversationId, userId);
+
+      socket.to(socketService.conversationRoom(conversation.id)).emit('typing', {
+        conversationId: conversation.id,
+        userId,
+        isTyping
+      });
+    } catch (error) {
+      if (!(error instanceof messageService.MessageError)) {
+        console.error('Socket typing error:', error);
+      }
+    }
+  };
+
+  socket.on('typing_start', setTyping(true));
+  socket.on('typing_stop', setTyping(false));
+};
+
+module.exports = registerPresenceHandlers;
@@ -0,0 +1,35 @@
+const jwt = require('jsonwebtoken');
+
+// Staff tokens are signed by this server with ADMIN_JWT_SECRET, separately from
+// the Firebase tokens of app users
+const TOKEN_TYPE = 'admin';
+
+const getSecret = () => {
+  if (!process.env.ADMIN_JWT_SECRET) {
+    throw new Error('ADMIN_JWT_SECRET is not configured');
+  }
+
+  return process.env.ADMIN_JWT_SECRET;
+};
+
+const signAdminToken = (adminUser) => jwt.sign(
+  { type: TOKEN_TYPE },
+  getSecret(),
+  { subject: adminUser.id, expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '12h' }
+);
+
+// Returns the admin user id, or throws when the token is invalid or not a staff token
+const verifyAdminToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+
+  if (payload.type !== TOKEN_TYPE) {
+    throw new Error('Not an admin token');
+  }
+
+  return payload.sub;
+};
+
+module.exports = {
+  signAdminToken,
+  verifyAdminToken
+};
@@ -0,0 +1,135 @@
+const { Op } = require('sequelize');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidCoordinates = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  latitude >= -90 && latitude <= 90 &&
+  longitude >= -180 && longitude <= 180;
+
+// Parse latitude and longitude from request values, or null if either is not a valid
+// coordinate. Unlike parseFloat, partly numeric input such as "12abc" is rejected.
+const parseCoordinates = (latitude, longitude) => {
+  const toNumber = (value) => (
+    typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN
+  );
+  const coordinates = { latitude: toNumber(latitude), longitude: toNumber(longitude) };
+
+  return isValidCoordinates(coordinates.latitude, coordinates.longitude) ? coordinates : null;
+};
+
+// Read coordinates from a record with latitude/longitude fields, falling back to
+// its owner's (e.g. a listing without its own location), or null if unset
+const getCoordinates = (record) => {
+  if (!record) return null;
+
+  const latitude = parseFloat(record.latitude);
+  const longitude = parseFloat(record.longitude);
+
+  if (!isValidCoordinates(latitude, longitude)) {
+    return record.owner ? getCoordinates(record.owner) : null;
+  }
+
+  return { latitude, longitude };
+};
+
+// Parse a "lat,lng" query value into coordinates, or null if malformed
+const parseNear = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',');
+
+  return parts.length === 2 ? parseCoordinates(parts[0], parts[1]) : null;
+};
+
+// Latitude/longitude box that contains every point within radiusKm of a centre.
+// Used to narrow a query with indexed range filters before the exact distance check.
+// A box that crosses the antimeridian has minLongitude greater than maxLongitude;
+// one that reaches a pole spans every longitude.
+const boundingBox = ({ latitude, longitude }, radiusKm) => {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const latDelta = angularRadius * (180 / Math.PI);
+  const minLatitude = Math.max(latitude - latDelta, -90);
+  const maxLatitude = Math.min(latitude + latDelta, 90);
+
+  const cosLatitude = Math.cos(toRadians(latitude));
+
+  if (minLatitude === -90 || maxLatitude === 90 || Math.sin(angularRadius) >= cosLatitude) {
+    return { minLatitude, maxLatitude, minLongitude: -180, maxLongitude: 180 };
+  }
+
+  // Widest longitude offset of the circle, which is reached away from the centre's latitude
+  const lngDelta = Math.asin(Math.sin(angularRadius) / cosLatitude) * (180 / Math.PI);
+
+  const wrap = (value) => {
+    if (value < -180) return value + 360;
+    if (value > 180) return value - 360;
+    return value;
+  };
+
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: wrap(longitude - lngDelta),
+    maxLongitude: wrap(longitude + lngDelta)
+  };
+};
+
+// The longitude ranges a box covers: two when it crosses the antimeridian
+const longitudeRanges = ({ minLongitude, maxLongitude }) => (
+  minLongitude <= maxLongitude
+    ? [[minLongitude, maxLongitude]]
+    : [[minLongitude, 180], [-180, maxLongitude]]
+);
+
+// Where condition limiting latitude/longitude columns (or $include.column$ paths) to a box
+const boxCondition = (box, { latitude = 'latitude', longitude = 'longitude' } = {}) => ({
+  [Op.and]: [
+    { [latitude]: { [Op.between]: [box.minLatitude, box.maxLatitude] } },
+    { [Op.or]: longitudeRanges(box).map(([min, max]) => ({ [longitude]: { [Op.between]: [min, max] } })) }
+  ]
+});
+
+// SQL expression for the distance in kilometres from a centre to a table's
+// latitude/longitude columns. Coordinates must already be validated numbers.
+const distanceSql = ({ latitude, longitude }, table) => `(${EARTH_RADIUS_KM} * acos(LEAST(1, GREATEST(-1,
+  cos(radians(${latitude})) * cos(radians("${table}"."latitude")) *
+  cos(radians("${table}"."longitude") - radians(${longitude})) +
+  sin(radians(${latitude})) * sin(radians("${table}"."latitude"))
+))))`;
+
+// Great-circle distance between two coordinates in kilometres
+const haversineDistanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Distance between two records in kilometres, or null if either has no coordinates
+const distanceBetween = (a, b) => {
+  const from = getCoordinates(a);
+  const to = getCoordinates(b);
+
+  if (!from || !to) return null;
+
+  return haversineDistanceKm(from, to);
+};
+
+module.exports = {
+  isValidCoordinates,
+  parseCoordinates,
+  getCoordinates,
+  parseNear,
+  boundingBox,
+  longitudeRanges,
+  boxCondition,
+  distanceSql,
+  haversineDistanceKm,
+  distanceBetween
+};
@@ -0,0 +1,21 @@
+// Why a user may not use the app right now, or null. A suspension lapses on its own
+// once suspendedUntil has passed.
+const getAccountRestriction = (user, now = new Date()) => {
+  if (!user || user.accountStatus === 'active') {
+    return null;
+  }
+
+  if (user.accountStatus === 'banned') {
+    return { accountStatus: 'banned', reason: user.statusReason };
+  }
+
+  if (user.suspendedUntil && user.suspendedUntil <= now) {
+    return null;
+  }
+
+  return { accountStatus: 'suspended', reason: user.statusReason, suspendedUntil: user.suspendedUntil };
+};
+
+module.exports = {
+  getAccountRestriction
+};
@@ -0,0 +1,110 @@
+// Validate that a multi-party trade chain forms a single closed loop.
+// Each node is { userId, listingId, receiverId }: userId gives listingId to receiverId.
+// Returns an error message, or null when the chain is valid.
+const validateTradeChain = (tradeChain) => {
+  if (!tradeChain || !Array.isArray(tradeChain) || tradeChain.length < 3) {
+    return 'Invalid trade chain. Must include at least 3 participants';
+  }
+
+  const nodesByUser = new Map();
+  const listingIds = new Set();
+
+  for (const node of tradeChain) {
+    if (!node || !node.userId || !node.listingId || !node.receiverId) {
+      return 'Each trade chain node must include userId, listingId and receiverId';
+    }
+
+    if (node.userId === node.receiverId) {
+      return 'A participant cannot trade with themselves';
+    }
+
+    if (nodesByUser.has(node.userId)) {
+      return `User ${node.userId} appears more than once in the trade chain`;
+    }
+
+    if (listingIds.has(node.listingId)) {
+      return `Listing ${node.listingId} appears more than once in the trade chain`;
+    }
+
+    nodesByUser.set(node.userId, node);
+    listingIds.add(node.listingId);
+  }
+
+  // Follow the chain from the first node; it must visit everyone and return to the start
+  const visited = new Set();
+  let current = tradeChain[0];
+
+  while (current && !visited.has(current.userId)) {
+    visited.add(current.userId);
+    current = nodesByUser.get(current.receiverId);
+  }
+
+  if (!current || current.userId !== tradeChain[0].userId || visited.size !== tradeChain.length) {
+    return 'Trade chain must form a complete loop';
+  }
+
+  return null;
+};
+
+// Get ids of every user taking part in a trade
+const getTradeParticipantIds = (trade) => {
+  if (trade.type === 'multi-party') {
+    return (trade.tradeChain || []).map(node => node.userId);
+  }
+
+  return [trade.proposerId, trade.receiverId].filter(Boolean);
+};
+
+// Get ids of every listing changing hands in a trade
+const getTradeListingIds = (trade) => {
+  if (trade.type === 'multi-party') {
+    return (trade.tradeChain || []).map(node => node.listingId);
+  }
+
+  return [trade.proposerListingId, trade.receiverListingId].filter(Boolean);
+};
+
+const isTradeParticipant = (trade, userId) => getTradeParticipantIds(trade).includes(userId);
+
+// User who made the current offer: the proposer, or whoever sent the counter-offer
+const getTradeAuthorId = (trade) => trade.counteredById || trade.proposerId;
+
+// Whether a proposal is past its expiry date (even if the expiry job has not run yet)
+const isProposalExpired = (trade) => (
+  trade.status === 'proposed' && Boolean(trade.expiresAt) && new Date(trade.expiresAt) <= new Date()
+);
+
+// User expected to answer a direct trade offer
+const getTradeResponderId = (trade) => (
+  getTradeAuthorId(trade) === trade.proposerId ? trade.receiverId : trade.proposerId
+);
+
+// Collect wanted categories (lowercased) from one or more tradePreferences values.
+// Preferences may be a plain list of categories or an object with a `categories` list.
+const getPreferredCategories = (...preferences) => {
+  const categories = new Set();
+
+  for (const preference of preferences) {
+    if (!preference) continue;
+
+    const list = Array.isArray(preference) ? preference : preference.categories;
+    const values = Array.isArray(list) ? list : (list ? [list] : []);
+
+    values
+      .filter(value => typeof value === 'string' && value.trim())
+      .forEach(value => categories.add(value.trim().toLowerCase()));
+  }
+
+  return categories;
+};
+
+module.exports = {
+  validateTradeChain,
+  getTradeParticipantIds,
+  getTradeListingIds,
+  isTradeParticipant,
+  getTradeAuthorId,
+  getTradeResponderId,
+  isProposalExpired,
+  getPreferredCategories
+};
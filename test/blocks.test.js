@@ -0,0 +1,69 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const userController = require('../src/controllers/user.controller');
+const messageController = require('../src/controllers/message.controller');
+const listingController = require('../src/controllers/listing.controller');
+const tradeController = require('../src/controllers/trade.controller');
+
+const { Listing } = models;
+
+const createListing = (userId) => Listing.create({ userId, title: 'Bike', description: 'Road bike', category: 'sports', condition: 'good' });
+
+let aliceListing;
+let bobListing;
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+
+  aliceListing = await createListing('alice');
+  bobListing = await createListing('bob');
+
+  await call(messageController.sendMessage, { userId: 'alice', body: { receiverId: 'bob', content: 'hi' } });
+
+  const blocked = await call(userController.blockUser, { userId: 'bob', params: { id: 'alice' } });
+  assert.equal(blocked.status, 200);
+});
+
+test('users cannot block themselves or unknown users', async () => {
+  assert.equal((await call(userController.blockUser, { userId: 'bob', params: { id: 'bob' } })).status, 400);
+  assert.equal((await call(userController.blockUser, { userId: 'bob', params: { id: 'nobody' } })).status, 404);
+});
+
+test('neither side of a block can message the other', async () => {
+  for (const [userId, receiverId] of [['alice', 'bob'], ['bob', 'alice']]) {
+    const { status } = await call(messageController.sendMessage, { userId, body: { receiverId, content: 'hello?' } });
+    assert.equal(status, 403);
+  }
+});
+
+test('neither side of a block can propose a trade to the other', async () => {
+  const { status } = await call(tradeController.proposeTrade, {
+    userId: 'alice',
+    body: { receiverId: 'bob', proposerListingId: aliceListing.id, receiverListingId: bobListing.id }
+  });
+
+  assert.equal(status, 403);
+});
+
+test('neither side of a block sees the other\'s listings', async () => {
+  const single = await call(listingController.getListingById, { userId: 'alice', params: { id: bobListing.id } });
+  assert.equal(single.status, 404);
+
+  const byUser = await call(listingController.getUserListings, { userId: 'bob', params: { userId: 'alice' } });
+  assert.equal(byUser.status, 404);
+
+  const { body } = await call(listingController.getAllListings, { userId: 'alice' });
+  assert.deepEqual(body.listings.map(listing => listing.id), [aliceListing.id]);
+});
+
+test('unblocking restores messaging', async () => {
+  await call(userController.unblockUser, { userId: 'bob', params: { id: 'alice' } });
+
+  const { status } = await call(messageController.sendMessage, { userId: 'alice', body: { receiverId: 'bob', content: 'hello again' } });
+  assert.equal(status, 201);
+});
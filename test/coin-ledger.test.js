@@ -0,0 +1,97 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, models, sync, createUser } = require('./helpers/database');
+const coinLedger = require('../src/services/coin-ledger.service');
+
+const { User, Trade } = models;
+
+const balanceOf = async (userId) => (await User.findByPk(userId)).tradeCoins;
+
+const createTrade = (proposerId, receiverId, tradeCoinAmount) => Trade.create({
+  proposerId,
+  receiverId,
+  status: 'accepted',
+  tradeCoinAmount
+});
+
+before(async () => {
+  await sync();
+
+  for (const id of ['alice', 'bob', 'carol']) {
+    await createUser(id, { coins: 50 });
+  }
+});
+
+test('signup bonus is credited from the system account', async () => {
+  assert.equal(await balanceOf('alice'), 50);
+
+  const { consistent, ledgerBalance } = await coinLedger.verifyUserBalance('alice');
+  assert.equal(ledgerBalance, 50);
+  assert.ok(consistent);
+});
+
+test('reserving holds the proposer\'s coins and releasing returns them', async () => {
+  const trade = await createTrade('alice', 'bob', 20);
+
+  await sequelize.transaction(transaction => coinLedger.reserveForTrade(trade, transaction));
+  assert.equal(await balanceOf('alice'), 30);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 20);
+  assert.equal(await coinLedger.getReservedAmount('alice'), 20);
+
+  // Reserving again only tops up the difference
+  await sequelize.transaction(transaction => coinLedger.reserveForTrade(trade, transaction));
+  assert.equal(await balanceOf('alice'), 30);
+
+  await sequelize.transaction(transaction => coinLedger.releaseTradeReservation(trade, transaction));
+  assert.equal(await balanceOf('alice'), 50);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 0);
+});
+
+test('settling pays the held coins to the receiver and a refund reverses it', async () => {
+  const trade = await createTrade('bob', 'carol', 15);
+
+  await sequelize.transaction(transaction => coinLedger.reserveForTrade(trade, transaction));
+  await sequelize.transaction(transaction => coinLedger.settleTrade(trade, transaction));
+  assert.equal(await balanceOf('bob'), 35);
+  assert.equal(await balanceOf('carol'), 65);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 0);
+
+  await sequelize.transaction(transaction => coinLedger.refundTradePayment(trade, transaction));
+  assert.equal(await balanceOf('bob'), 50);
+  assert.equal(await balanceOf('carol'), 50);
+});
+
+test('a transfer larger than the balance fails without moving coins', async () => {
+  const trade = await createTrade('carol', 'alice', 80);
+
+  await assert.rejects(
+    sequelize.transaction(transaction => coinLedger.reserveForTrade(trade, transaction)),
+    coinLedger.InsufficientCoinsError
+  );
+
+  assert.equal(await balanceOf('carol'), 50);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 0);
+});
+
+test('transfers must be positive whole amounts', async () => {
+  for (const amount of [0, -5, 2.5]) {
+    await assert.rejects(
+      sequelize.transaction(transaction => coinLedger.transfer({
+        from: 'system',
+        to: 'user:alice',
+        amount,
+        type: 'signup_bonus',
+        transaction
+      })),
+      /positive integer/
+    );
+  }
+});
+
+test('cached balances match the ledger, which sums to zero', async () => {
+  const { usersChecked, mismatches, ledgerBalanced } = await coinLedger.verifyAllBalances();
+
+  assert.equal(usersChecked, 3);
+  assert.deepEqual(mismatches, []);
+  assert.ok(ledgerBalanced);
+});
@@ -0,0 +1,134 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpload, storedKeys } = require('./helpers/uploads');
+const { sequelize, models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const coinLedger = require('../src/services/coin-ledger.service');
+const tradeService = require('../src/services/trade.service');
+const disputeService = require('../src/services/dispute.service');
+const disputeController = require('../src/controllers/dispute.controller');
+const mediaController = require('../src/controllers/media.controller');
+
+const { User, Trade } = models;
+
+const balanceOf = async (userId) => (await User.findByPk(userId)).tradeCoins;
+
+// A trade that completed and paid its coins to the receiver
+const createCompletedTrade = (tradeCoinAmount) => sequelize.transaction(async (transaction) => {
+  const trade = await Trade.create({ proposerId: 'alice', receiverId: 'bob', status: 'accepted', tradeCoinAmount }, { transaction });
+
+  await coinLedger.reserveForTrade(trade, transaction);
+  await tradeService.completeTrade(trade, { actorId: 'alice' }, transaction);
+
+  return trade;
+});
+
+const disputeAndReverse = async (trade) => {
+  const dispute = await sequelize.transaction(transaction => (
+    disputeService.openDispute(trade, { openedById: 'alice', reason: 'Item was broken' }, transaction)
+  ));
+
+  await sequelize.transaction(transaction => disputeService.resolveDispute(dispute, trade, {
+    moderatorId: 'mod',
+    outcome: 'reverse',
+    note: 'Item was not as described'
+  }, transaction));
+
+  return dispute.reload();
+};
+
+before(async () => {
+  await sync();
+
+  await createUser('alice', { coins: 50 });
+  await createUser('bob', { coins: 50 });
+  await createUser('carol', { coins: 0 });
+  await createUser('mod', { coins: 0, roles: ['moderator'] });
+});
+
+test('reversing a completed trade refunds its payment', async () => {
+  const trade = await createCompletedTrade(10);
+  assert.equal(await balanceOf('bob'), 60);
+
+  const dispute = await disputeAndReverse(trade);
+
+  assert.equal(dispute.status, 'resolved');
+  assert.equal(await balanceOf('alice'), 50);
+  assert.equal(await balanceOf('bob'), 50);
+});
+
+test('a reversal goes through after the receiver spent the payment, leaving them owing it', async () => {
+  const trade = await createCompletedTrade(30);
+
+  // bob spends everything he has
+  await sequelize.transaction(transaction => coinLedger.transfer({
+    from: 'user:bob',
+    to: 'user:carol',
+    amount: 80,
+    type: 'payment',
+    transaction
+  }));
+
+  const dispute = await disputeAndReverse(trade);
+
+  assert.equal(dispute.status, 'resolved');
+  assert.equal((await Trade.findByPk(trade.id)).status, 'cancelled');
+  assert.equal(await balanceOf('alice'), 50);
+  assert.equal(await balanceOf('bob'), -30);
+
+  // A user in debt cannot spend coins
+  await assert.rejects(
+    sequelize.transaction(transaction => coinLedger.transfer({ from: 'user:bob', to: 'user:carol', amount: 1, type: 'payment', transaction })),
+    coinLedger.InsufficientCoinsError
+  );
+
+  const { mismatches, ledgerBalanced } = await coinLedger.verifyAllBalances();
+  assert.deepEqual(mismatches, []);
+  assert.ok(ledgerBalanced);
+});
+
+test('evidence is private to the dispute\'s parties and moderators', async () => {
+  const trade = await Trade.create({ proposerId: 'alice', receiverId: 'bob', status: 'accepted' });
+
+  const opened = await call(disputeController.openDispute, {
+    userId: 'alice',
+    params: { id: trade.id },
+    body: { reason: 'Never arrived' },
+    files: [createUpload('receipt.png', 'image/png', 'RECEIPT')]
+  });
+  assert.equal(opened.status, 201);
+
+  const [evidence] = opened.body.dispute.evidence;
+  assert.ok(evidence.key.startsWith('disputes/'));
+  assert.equal(evidence.url, undefined);
+  assert.deepEqual(storedKeys('disputes'), [evidence.key]);
+
+  // Not served by the public media route
+  const media = await call(mediaController.getMedia, { params: { 0: evidence.key }, headers: {} });
+  assert.equal(media.status, 404);
+
+  const params = { id: opened.body.dispute.id, index: '0' };
+
+  for (const userId of ['alice', 'bob', 'mod']) {
+    const file = await call(disputeController.getEvidenceFile, { userId, params });
+    assert.equal(file.status, 200);
+    assert.equal(file.body.toString(), 'RECEIPT');
+    assert.equal(file.headers['cache-control'], 'private, no-store');
+  }
+
+  assert.equal((await call(disputeController.getEvidenceFile, { userId: 'carol', params })).status, 403);
+  assert.equal((await call(disputeController.getEvidenceFile, { userId: 'alice', params: { ...params, index: '3' } })).status, 404);
+
+  const posted = await call(disputeController.addDisputeMessage, {
+    userId: 'bob',
+    params: { id: opened.body.dispute.id },
+    body: { content: 'Here is the tracking' },
+    files: [createUpload('tracking.jpg', 'image/jpeg', 'TRACKING')]
+  });
+  assert.equal(posted.status, 201);
+
+  const attachmentParams = { id: opened.body.dispute.id, messageId: posted.body.disputeMessage.id, index: '0' };
+  const attachment = await call(disputeController.getMessageAttachment, { userId: 'mod', params: attachmentParams });
+  assert.equal(attachment.body.toString(), 'TRACKING');
+  assert.equal((await call(disputeController.getMessageAttachment, { userId: 'carol', params: attachmentParams })).status, 403);
+});
@@ -0,0 +1,108 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, models, sync, createUser } = require('./helpers/database');
+const coinLedger = require('../src/services/coin-ledger.service');
+const escrowService = require('../src/services/escrow.service');
+
+const { User, Trade } = models;
+
+const balanceOf = async (userId) => (await User.findByPk(userId)).tradeCoins;
+
+// An accepted escrow trade with the proposer's coins reserved, as acceptance leaves it
+const createEscrowTrade = (tradeCoinAmount) => sequelize.transaction(async (transaction) => {
+  const trade = await Trade.create({
+    proposerId: 'alice',
+    receiverId: 'bob',
+    status: 'accepted',
+    tradeCoinAmount
+  }, { transaction });
+
+  escrowService.hold(trade, 'bob');
+  await trade.save({ transaction });
+  await coinLedger.reserveForTrade(trade, transaction);
+
+  return trade;
+});
+
+const confirm = (trade, userId) => sequelize.transaction(async (transaction) => {
+  const locked = await Trade.findByPk(trade.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+  return escrowService.confirmReceipt(locked, userId, transaction);
+});
+
+before(async () => {
+  await sync();
+
+  await createUser('alice', { coins: 100 });
+  await createUser('bob', { coins: 100 });
+});
+
+test('holding schedules the release and records it', async () => {
+  const trade = await createEscrowTrade(10);
+
+  assert.equal(trade.isEscrow, true);
+  assert.equal(trade.escrowStatus, 'held');
+  assert.ok(trade.escrowReleaseDate > new Date());
+  assert.deepEqual(trade.escrowHistory.map(entry => entry.status), ['held']);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 10);
+});
+
+test('escrow releases once every participant confirms receipt', async () => {
+  const aliceBefore = await balanceOf('alice');
+  const bobBefore = await balanceOf('bob');
+  const trade = await createEscrowTrade(20);
+
+  assert.equal(await confirm(trade, 'alice'), false);
+
+  let stored = await Trade.findByPk(trade.id);
+  assert.equal(stored.status, 'accepted');
+  assert.equal(stored.escrowStatus, 'held');
+  assert.ok(stored.escrowConfirmations.alice);
+
+  assert.equal(await confirm(trade, 'bob'), true);
+
+  stored = await Trade.findByPk(trade.id);
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.escrowStatus, 'released');
+  assert.equal(await balanceOf('alice'), aliceBefore - 20);
+  assert.equal(await balanceOf('bob'), bobBefore + 20);
+  assert.equal(await coinLedger.getHeldAmount(trade.id), 0);
+});
+
+test('release is refused once the trade is no longer accepted', async () => {
+  const trade = await createEscrowTrade(5);
+  await trade.update({ status: 'cancelled' });
+
+  await assert.rejects(confirm(trade, 'alice').then(() => confirm(trade, 'bob')), {
+    name: 'TradeTransitionError'
+  });
+
+  assert.equal((await Trade.findByPk(trade.id)).escrowStatus, 'held');
+});
+
+test('due escrow is released automatically, but not while frozen', async () => {
+  const due = await createEscrowTrade(5);
+  const frozen = await createEscrowTrade(5);
+  const notDue = await createEscrowTrade(5);
+
+  const past = new Date(Date.now() - 60 * 1000);
+  await due.update({ escrowReleaseDate: past });
+  await frozen.update({ escrowReleaseDate: past });
+
+  await sequelize.transaction(transaction => escrowService.freeze(frozen, 'alice', 'Item never arrived', transaction));
+
+  await escrowService.releaseDue();
+
+  assert.equal((await Trade.findByPk(due.id)).status, 'completed');
+  assert.equal((await Trade.findByPk(due.id)).escrowStatus, 'released');
+  assert.equal((await Trade.findByPk(frozen.id)).escrowStatus, 'frozen');
+  assert.equal((await Trade.findByPk(notDue.id)).escrowStatus, 'held');
+  assert.equal(await coinLedger.getHeldAmount(frozen.id), 5);
+});
+
+test('the ledger stays balanced', async () => {
+  const { mismatches, ledgerBalanced } = await coinLedger.verifyAllBalances();
+
+  assert.deepEqual(mismatches, []);
+  assert.ok(ledgerBalanced);
+});
@@ -0,0 +1,31 @@
+const { PassThrough } = require('stream');
+
+// Run an Express handler with a fake request. Resolves with the status and JSON body,
+// or for streamed responses the headers and the body as a buffer.
+const call = (handler, req = {}) => new Promise((resolve, reject) => {
+  const res = new PassThrough();
+  const chunks = [];
+
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.type = (type) => res.set('Content-Type', type);
+  res.json = (body) => {
+    resolve({ status: res.statusCode, body });
+    return res;
+  };
+
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+
+  Promise.resolve(handler({ params: {}, query: {}, body: {}, headers: {}, ...req }, res)).catch(reject);
+});
+
+module.exports = { call };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Store uploads on the local driver in a temporary directory. Require this before anything under src/.
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'swopify-test-'));
+
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = root;
+process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+
+let uploadCount = 0;
+
+// A file as multer leaves it in its temporary directory
+const createUpload = (originalname, mimetype = 'image/jpeg', content = originalname) => {
+  uploadCount += 1;
+
+  const filePath = path.join(root, `upload-${uploadCount}`);
+  fs.writeFileSync(filePath, content);
+
+  return { originalname, mimetype, path: filePath, size: Buffer.byteLength(content) };
+};
+
+// Keys of the files stored under a folder
+const storedKeys = (folder) => {
+  const folderPath = path.join(root, folder);
+
+  if (!fs.existsSync(folderPath)) return [];
+
+  return fs.readdirSync(folderPath, { recursive: true })
+    .filter(name => fs.statSync(path.join(folderPath, name)).isFile())
+    .map(name => `${folder}/${name}`);
+};
+
+module.exports = { root, createUpload, storedKeys };
@@ -0,0 +1,80 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpload, storedKeys } = require('./helpers/uploads');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const listingController = require('../src/controllers/listing.controller');
+const storage = require('../src/services/storage');
+
+const { User, Listing } = models;
+
+const listingBody = (fields = {}) => ({
+  title: 'Bike',
+  description: 'Road bike',
+  category: 'sports',
+  condition: 'good',
+  ...fields
+});
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await User.update({ latitude: 51.5007, longitude: -0.1246 }, { where: { id: 'alice' } });
+});
+
+test('a listing without coordinates does not take the owner\'s location', async () => {
+  const { status, body } = await call(listingController.createListing, { userId: 'alice', body: listingBody() });
+
+  assert.equal(status, 201);
+  assert.equal(body.listing.latitude, null);
+  assert.equal(body.listing.longitude, null);
+});
+
+test('coordinates must be wholly numeric', async () => {
+  for (const [latitude, longitude] of [['12abc', '3'], ['', '3'], ['91', '0'], ['10', null]]) {
+    const { status } = await call(listingController.createListing, { userId: 'alice', body: listingBody({ latitude, longitude }) });
+    assert.equal(status, 400, `${latitude},${longitude}`);
+  }
+
+  const { status, body } = await call(listingController.createListing, {
+    userId: 'alice',
+    body: listingBody({ latitude: '48.8584', longitude: '2.2945' })
+  });
+  assert.equal(status, 201);
+  assert.equal(body.listing.latitude, 48.8584);
+
+  const updated = await call(listingController.updateListing, {
+    userId: 'alice',
+    params: { id: body.listing.id },
+    body: { latitude: '48.8', longitude: '2.2x' }
+  });
+  assert.equal(updated.status, 400);
+  assert.equal((await Listing.findByPk(body.listing.id)).longitude, 2.2945);
+});
+
+test('images are removed again when the listing is not saved', async () => {
+  const failed = await call(listingController.createListing, {
+    userId: 'alice',
+    body: listingBody({ title: undefined }),
+    files: [createUpload('front.jpg'), createUpload('back.jpg')]
+  });
+  assert.equal(failed.status, 500);
+  assert.deepEqual(storedKeys('listings'), []);
+
+  const { body } = await call(listingController.createListing, {
+    userId: 'alice',
+    body: listingBody(),
+    files: [createUpload('front.jpg')]
+  });
+  assert.equal(storedKeys('listings').length, 1);
+
+  const updated = await call(listingController.updateListing, {
+    userId: 'alice',
+    params: { id: body.listing.id },
+    body: { estimatedValue: 'lots', keepExistingImages: 'true' },
+    files: [createUpload('side.jpg')]
+  });
+  assert.equal(updated.status, 500);
+  assert.deepEqual(storedKeys('listings'), body.listing.images.map(storage.keyFromUrl));
+});
@@ -0,0 +1,99 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { sync, createUser } = require('./helpers/database');
+
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_LOCAL_SECRET = 'test-secret';
+
+const createLocalVerifier = require('../src/services/auth/local.verifier');
+const authService = require('../src/services/auth');
+const authMiddleware = require('../src/middlewares/auth.middleware');
+
+// Run the auth middleware and report the response status, or 'next' when it let the request through
+const authenticate = async (token) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  let status = 'next';
+  const res = {
+    status: (code) => {
+      status = code;
+      return res;
+    },
+    json: () => res
+  };
+
+  await authMiddleware(req, res, () => {});
+
+  return { status, req };
+};
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+});
+
+test('the local provider is selected from configuration', () => {
+  assert.equal(authService.getVerifier().name, 'local');
+});
+
+test('signed tokens verify to a Firebase-style identity', async () => {
+  const verifier = createLocalVerifier({ secret: 'test-secret', expiresIn: '1h' });
+  const token = verifier.sign({ uid: 'alice', email: 'alice@example.com', name: 'Alice' });
+
+  assert.deepEqual(await verifier.verify(token), {
+    uid: 'alice',
+    email: 'alice@example.com',
+    emailVerified: true,
+    name: 'Alice',
+    picture: null
+  });
+});
+
+test('tokens signed with another secret or issuer are rejected', async () => {
+  const verifier = createLocalVerifier({ secret: 'test-secret', expiresIn: '1h' });
+  const otherSecret = createLocalVerifier({ secret: 'other-secret', expiresIn: '1h' }).sign({ uid: 'alice' });
+  const otherIssuer = jwt.sign({}, 'test-secret', { subject: 'alice', issuer: 'someone-else' });
+
+  await assert.rejects(verifier.verify(otherSecret), { name: 'JsonWebTokenError' });
+  await assert.rejects(verifier.verify(otherIssuer), { name: 'JsonWebTokenError' });
+});
+
+test('expired tokens are rejected', async () => {
+  const verifier = createLocalVerifier({ secret: 'test-secret', expiresIn: -10 });
+  const token = verifier.sign({ uid: 'alice' });
+
+  await assert.rejects(verifier.verify(token), { name: 'TokenExpiredError' });
+});
+
+test('a secret is required', () => {
+  assert.throws(() => createLocalVerifier({ expiresIn: '1h' }), /AUTH_LOCAL_SECRET/);
+});
+
+test('the local provider refuses to start in production', () => {
+  const servicePath = require.resolve('../src/services/auth');
+  delete require.cache[servicePath];
+  process.env.ENVIRONMENT = 'production';
+
+  try {
+    assert.throws(() => require('../src/services/auth'), /cannot be used in production/);
+  } finally {
+    delete process.env.ENVIRONMENT;
+    delete require.cache[servicePath];
+  }
+});
+
+test('the auth middleware accepts local tokens', async (t) => {
+  const token = authService.getVerifier().sign({ uid: 'alice', email: 'alice@example.com' });
+
+  const { status, req } = await authenticate(token);
+
+  assert.equal(status, 'next');
+  assert.equal(req.userId, 'alice');
+  assert.equal(req.auth.email, 'alice@example.com');
+
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal((await authenticate('not-a-token')).status, 401);
+  assert.equal((await authenticate(null)).status, 401);
+});
@@ -0,0 +1,101 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const messageController = require('../src/controllers/message.controller');
+
+const { Message } = models;
+
+// Send messages in order and return them
+const sendAll = async (senderId, receiverId, contents) => {
+  const sent = [];
+
+  for (const content of contents) {
+    const { body } = await call(messageController.sendMessage, { userId: senderId, body: { receiverId, content } });
+    sent.push(body.data);
+  }
+
+  return sent;
+};
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await createUser('carol');
+  await createUser('dave');
+});
+
+test('unread counts leave out messages deleted for everyone or by the reader', async () => {
+  const sent = await sendAll('alice', 'bob', ['hi', 'still there?', 'never mind', 'about the bike']);
+
+  const unreadCount = async () => {
+    const { body } = await call(messageController.getUserConversations, { userId: 'bob' });
+    return body.conversations[0].unreadCount;
+  };
+
+  assert.equal(await unreadCount(), 4);
+
+  const deletedForEveryone = await call(messageController.deleteMessage, {
+    userId: 'alice',
+    params: { messageId: sent[2].id },
+    query: { scope: 'everyone' }
+  });
+  assert.equal(deletedForEveryone.status, 200);
+
+  const deletedForBob = await call(messageController.deleteMessage, { userId: 'bob', params: { messageId: sent[1].id } });
+  assert.equal(deletedForBob.status, 200);
+
+  assert.equal(await unreadCount(), 2);
+});
+
+test('cursor pages walk a conversation without skipping or repeating messages', async () => {
+  const sent = await sendAll('carol', 'dave', ['1', '2', '3', '4', '5', '6', '7']);
+  const conversationId = sent[0].conversationId;
+
+  // Messages sent in the same instant are ordered by id
+  await Message.update({ createdAt: new Date('2026-01-01T00:00:00Z') }, { where: { conversationId }, silent: true });
+
+  const page = (query) => call(messageController.getConversationMessages, { userId: 'dave', params: { conversationId }, query });
+
+  const seen = [];
+  let result = await page({ limit: 3 });
+
+  for (;;) {
+    seen.push(...result.body.messages.map(message => message.id));
+    if (!result.body.hasMore) break;
+    result = await page({ limit: 3, before: result.body.cursors.before });
+  }
+
+  assert.equal(seen.length, 7);
+  assert.equal(new Set(seen).size, 7);
+
+  // Reading forwards from the oldest message returns the newer ones, newest first
+  const newer = await page({ limit: 4, after: seen[6] });
+  assert.deepEqual(newer.body.messages.map(message => message.id), seen.slice(2, 6));
+  assert.equal(newer.body.hasMore, true);
+
+  assert.equal((await page({ before: seen[0], after: seen[1] })).status, 400);
+  assert.equal((await page({ after: 'not-a-message' })).status, 400);
+});
+
+test('search finds words in the user\'s own conversations and marks them', async () => {
+  await sendAll('carol', 'dave', ['Is the bicycle still for trade?', 'I also have a bicycle helmet']);
+  await sendAll('alice', 'bob', ['My bicycle is gone']);
+
+  const search = (userId, query) => call(messageController.searchMessages, { userId, query });
+
+  const { status, body } = await search('dave', { q: 'Bicycle' });
+  assert.equal(status, 200);
+  assert.equal(body.results.length, 2);
+  assert.ok(body.results.every(result => result.get('snippet').includes('<mark>bicycle</mark>')));
+
+  const paged = await search('dave', { q: 'bicycle', limit: 1, page: 2 });
+  assert.equal(paged.body.results.length, 1);
+  assert.equal(paged.body.hasMore, false);
+
+  assert.equal((await search('dave', { q: 'bicycle helmet' })).body.results.length, 1);
+  assert.equal((await search('bob', { q: 'bicycle' })).body.results.length, 1);
+  assert.equal((await search('dave', { q: ' ' })).status, 400);
+});
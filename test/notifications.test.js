@@ -0,0 +1,84 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const notificationService = require('../src/services/notifications');
+const blockService = require('../src/services/block.service');
+
+const { User, Notification, DeviceToken } = models;
+
+// The helper selects the fake transport, which records pushes instead of sending them
+const { sent } = notificationService.getTransport();
+
+// HH:MM in UTC, minutes from now
+const utcTime = (minutesFromNow) => new Date(Date.now() + minutesFromNow * 60 * 1000).toISOString().slice(11, 16);
+
+const setPreferences = (userId, notificationPreferences) => User.update({ notificationPreferences }, { where: { id: userId } });
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await notificationService.registerDevice('alice', 'phone', 'ios');
+});
+
+beforeEach(() => {
+  sent.length = 0;
+});
+
+test('quiet hours can span midnight and follow the user\'s time zone', () => {
+  const overnight = { start: '22:00', end: '07:00', timezone: 'Europe/Paris' };
+
+  assert.ok(notificationService.isQuietTime(overnight, new Date('2026-01-15T22:30:00Z')));
+  assert.ok(notificationService.isQuietTime(overnight, new Date('2026-01-15T05:59:00Z')));
+  assert.ok(!notificationService.isQuietTime(overnight, new Date('2026-01-15T06:00:00Z')));
+  assert.ok(!notificationService.isQuietTime(overnight, new Date('2026-01-15T20:59:00Z')));
+  assert.ok(!notificationService.isQuietTime(null));
+});
+
+test('notifications are pushed to the user\'s devices and invalid tokens are dropped', async () => {
+  await notificationService.registerDevice('alice', 'invalid-tablet');
+
+  const notification = await notificationService.notify('alice', { type: 'trade:accepted', title: 'Trade accepted' });
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].tokens, ['phone']);
+  assert.equal(sent[0].data.notificationId, notification.id);
+  assert.ok(notification.pushedAt);
+  assert.equal(await DeviceToken.count({ where: { token: 'invalid-tablet' } }), 0);
+});
+
+test('quiet hours and disabled categories keep notifications in the inbox without pushing them', async () => {
+  await setPreferences('alice', { quietHours: { start: utcTime(-60), end: utcTime(60) } });
+  const quiet = await notificationService.notify('alice', { type: 'trade:accepted', title: 'Trade accepted' });
+
+  await setPreferences('alice', { push: { messages: false } });
+  const muted = await notificationService.notify('alice', { type: 'message:new', title: 'bob' });
+
+  assert.equal(sent.length, 0);
+  assert.equal(quiet.pushedAt, null);
+  assert.equal(muted.pushedAt, null);
+  assert.equal(await Notification.count({ where: { userId: 'alice', id: [quiet.id, muted.id] } }), 2);
+
+  await setPreferences('alice', null);
+});
+
+test('muted users and the user\'s own actions do not notify them', async () => {
+  const event = (actorId) => ({ type: 'trade:proposed', userId: 'alice', payload: { tradeId: 'trade-1', actorId } });
+
+  assert.equal(await notificationService.notifyForEvent(event('alice')), null);
+
+  await blockService.mute('alice', 'bob');
+  assert.equal(await notificationService.notifyForEvent(event('bob')), null);
+
+  await blockService.unmute('alice', 'bob');
+  assert.ok(await notificationService.notifyForEvent(event('bob')));
+  assert.equal(sent.length, 1);
+});
+
+test('preferences are validated', () => {
+  assert.equal(notificationService.validatePreferences({ push: { trades: false } }), null);
+  assert.match(notificationService.validatePreferences({ push: { weather: true } }), /Unknown notification category/);
+  assert.match(notificationService.validatePreferences({ quietHours: { start: '25:00', end: '07:00' } }), /HH:MM/);
+  assert.match(notificationService.validatePreferences({ quietHours: { start: '22:00', end: '07:00', timezone: 'Mars/Base' } }), /Unknown time zone/);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const userController = require('../src/controllers/user.controller');
+const messageController = require('../src/controllers/message.controller');
+const presenceService = require('../src/services/presence.service');
+const socketService = require('../src/services/socket.service');
+const blockService = require('../src/services/block.service');
+
+const { emitToUser } = socketService;
+const presenceUpdates = [];
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await createUser('carol');
+
+  await call(messageController.sendMessage, { userId: 'alice', body: { receiverId: 'bob', content: 'hi' } });
+  await call(messageController.sendMessage, { userId: 'alice', body: { receiverId: 'carol', content: 'hi' } });
+
+  socketService.emitToUser = (userId, event, payload) => {
+    if (event === 'presence:update') presenceUpdates.push({ userId, payload });
+  };
+});
+
+after(() => {
+  socketService.emitToUser = emitToUser;
+});
+
+test('presence is shown to other users', async () => {
+  await presenceService.connect('alice');
+
+  const { status, body } = await call(userController.getUserPresence, { userId: 'bob', params: { id: 'alice' } });
+
+  assert.equal(status, 200);
+  assert.equal(body.online, true);
+  assert.deepEqual(presenceUpdates.map(update => update.userId).sort(), ['bob', 'carol']);
+
+  await presenceService.disconnect('alice');
+});
+
+test('users who have blocked each other do not see each other\'s presence', async () => {
+  await blockService.block('bob', 'alice');
+  presenceUpdates.length = 0;
+
+  for (const [userId, id] of [['alice', 'bob'], ['bob', 'alice']]) {
+    const { status } = await call(userController.getUserPresence, { userId, params: { id } });
+    assert.equal(status, 404);
+  }
+
+  await presenceService.connect('alice');
+
+  assert.deepEqual(presenceUpdates.map(update => update.userId), ['carol']);
+
+  await presenceService.disconnect('alice');
+});
@@ -0,0 +1,58 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const reportController = require('../src/controllers/report.controller');
+const adminController = require('../src/controllers/admin.controller');
+
+const { AdminUser, Listing } = models;
+
+let staff;
+
+const reportListing = async (reporterId) => {
+  const listing = await Listing.create({ userId: 'bob', title: 'Bike', description: 'Road bike', category: 'sports', condition: 'good' });
+  const { body } = await call(reportController.createReport, {
+    userId: reporterId,
+    body: { targetType: 'listing', targetId: listing.id, reason: 'scam' }
+  });
+
+  return { listing, report: body.report };
+};
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await createUser('mod', { roles: ['moderator'] });
+  staff = await AdminUser.create({ email: 'staff@example.com', name: 'Staff', passwordHash: 'unused', role: 'moderator' });
+});
+
+test('app moderators and staff work through the same reports queue', async () => {
+  const { report } = await reportListing('alice');
+
+  const fromApp = await call(reportController.getReports, { userId: 'mod' });
+  const fromConsole = await call(adminController.getReports, { adminId: staff.id });
+
+  assert.deepEqual(fromApp.body.reports.map(item => item.id), [report.id]);
+  assert.deepEqual(fromConsole.body.reports.map(item => item.id), [report.id]);
+
+  const dismissed = await call(reportController.reviewReport, { userId: 'mod', params: { id: report.id }, body: { status: 'dismissed' } });
+  assert.equal(dismissed.status, 200);
+
+  assert.equal((await call(adminController.getReports, { adminId: staff.id })).body.totalReports, 0);
+  assert.equal((await call(adminController.getReports, { adminId: staff.id, query: { status: 'closed' } })).status, 400);
+});
+
+test('a report closed by one moderator cannot be closed again with another outcome', async () => {
+  const { listing, report } = await reportListing('alice');
+
+  const dismissed = await call(reportController.reviewReport, { userId: 'mod', params: { id: report.id }, body: { status: 'dismissed' } });
+  assert.equal(dismissed.status, 200);
+
+  const reviewed = await call(adminController.reviewReport, { adminId: staff.id, params: { id: report.id }, body: { status: 'reviewed' } });
+  assert.equal(reviewed.status, 409);
+
+  const hidden = await call(adminController.hideListing, { adminId: staff.id, params: { id: listing.id }, body: { reportId: report.id } });
+  assert.equal(hidden.status, 409);
+});
@@ -0,0 +1,74 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const { requirePermission, requireRole } = require('../src/middlewares/role.middleware');
+const roleService = require('../src/services/role.service');
+const userController = require('../src/controllers/user.controller');
+
+const { ModerationAction } = models;
+const { PERMISSIONS } = roleService;
+
+// Run a middleware and report whether it let the request through, or the status it refused with
+const run = (middleware, userRoles) => {
+  const result = { passed: false, status: null };
+  const res = {
+    status: (code) => {
+      result.status = code;
+      return res;
+    },
+    json: () => res
+  };
+
+  middleware({ userRoles }, res, () => {
+    result.passed = true;
+  });
+
+  return result;
+};
+
+before(async () => {
+  await sync();
+
+  await createUser('admin', { roles: ['admin'] });
+  await createUser('bob');
+});
+
+test('requirePermission lets through only roles that grant the permission', () => {
+  const reviewReports = requirePermission(PERMISSIONS.REVIEW_REPORTS);
+  const manageRoles = requirePermission(PERMISSIONS.MANAGE_ROLES);
+
+  assert.equal(run(reviewReports, ['moderator']).passed, true);
+  assert.equal(run(reviewReports, ['admin']).passed, true);
+  assert.deepEqual(run(manageRoles, ['moderator']), { passed: false, status: 403 });
+  assert.deepEqual(run(reviewReports, []), { passed: false, status: 403 });
+  assert.deepEqual(run(reviewReports, undefined), { passed: false, status: 403 });
+  assert.deepEqual(run(reviewReports, ['superuser']), { passed: false, status: 403 });
+});
+
+test('requireRole lets through any of the given roles', () => {
+  const staff = requireRole('moderator', 'admin');
+
+  assert.equal(run(staff, ['moderator']).passed, true);
+  assert.deepEqual(run(staff, []), { passed: false, status: 403 });
+});
+
+test('granted and revoked roles change the user\'s permissions and are logged', async () => {
+  const granted = await call(userController.grantRole, { userId: 'admin', params: { id: 'bob' }, body: { role: 'moderator' } });
+  assert.equal(granted.status, 200);
+  assert.deepEqual(granted.body.roles, ['moderator']);
+  assert.ok(await roleService.hasPermission('bob', PERMISSIONS.RESOLVE_DISPUTES));
+
+  const revoked = await call(userController.revokeRole, { userId: 'admin', params: { id: 'bob', role: 'moderator' } });
+  assert.equal(revoked.status, 200);
+  assert.ok(!await roleService.hasPermission('bob', PERMISSIONS.RESOLVE_DISPUTES));
+
+  const logged = await ModerationAction.findAll({ where: { actorUserId: 'admin', targetId: 'bob' }, order: [['createdAt', 'ASC']] });
+  assert.deepEqual(logged.map(action => action.action), ['grant_role', 'revoke_role']);
+});
+
+test('unknown roles and revoking your own admin role are refused', async () => {
+  assert.equal((await call(userController.grantRole, { userId: 'admin', params: { id: 'bob' }, body: { role: 'owner' } })).status, 400);
+  assert.equal((await call(userController.revokeRole, { userId: 'admin', params: { id: 'bob', role: 'moderator' } })).status, 404);
+  assert.equal((await call(userController.revokeRole, { userId: 'admin', params: { id: 'admin', role: 'admin' } })).status, 400);
+});
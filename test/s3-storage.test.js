@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const { createUpload } = require('./helpers/uploads');
+const createS3Driver = require('../src/services/storage/s3.driver');
+
+// Decode an aws-chunked body: hex-sized chunks ending with a zero-size chunk and trailers
+const decodeChunked = (raw) => {
+  const chunks = [];
+  let offset = 0;
+
+  for (;;) {
+    const lineEnd = raw.indexOf('\r\n', offset);
+    const size = parseInt(raw.slice(offset, lineEnd).toString().split(';')[0], 16);
+
+    if (size === 0) return Buffer.concat(chunks);
+
+    chunks.push(raw.slice(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+};
+
+// A local stand-in for an S3 bucket with path-style addressing, keeping objects in memory
+const objects = new Map();
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const [bucket, ...keyParts] = decodeURIComponent(pathname).slice(1).split('/');
+    const key = keyParts.join('/');
+    const object = objects.get(key);
+
+    requests.push({ method: req.method, bucket, key, authorization: req.headers.authorization });
+
+    if (req.method === 'PUT') {
+      const raw = Buffer.concat(chunks);
+      const body = req.headers['content-encoding'] === 'aws-chunked' ? decodeChunked(raw) : raw;
+
+      objects.set(key, { body, contentType: req.headers['content-type'] });
+      return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (!object) {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', object.contentType);
+
+    const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    const body = range ? object.body.subarray(Number(range[1]), Number(range[2]) + 1) : object.body;
+
+    if (range) {
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${range[1]}-${range[2]}/${object.body.length}`);
+    }
+
+    res.setHeader('Content-Length', body.length);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+let driver;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  driver = createS3Driver({
+    bucket: 'swopify',
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    forcePathStyle: true
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('the s3 driver requires a bucket', () => {
+  assert.throws(() => createS3Driver({}), /S3_BUCKET is required/);
+});
+
+test('uploads are stored in the bucket and the temporary file is removed', async () => {
+  const upload = createUpload('photo.jpg', 'image/jpeg', 'hello world');
+
+  await driver.put('listings/photo.jpg', upload.path, upload.mimetype);
+
+  assert.equal(objects.get('listings/photo.jpg').body.toString(), 'hello world');
+  assert.equal(objects.get('listings/photo.jpg').contentType, 'image/jpeg');
+  assert.equal(requests.at(-1).bucket, 'swopify');
+  assert.match(requests.at(-1).authorization, /^AWS4-HMAC-SHA256 Credential=test\//);
+  assert.equal(fs.existsSync(upload.path), false);
+});
+
+test('stored objects can be read whole or by byte range, then removed', async () => {
+  objects.set('listings/clip.mp4', { body: Buffer.from('0123456789'), contentType: 'video/mp4' });
+
+  assert.deepEqual(await driver.stat('listings/clip.mp4'), { size: 10 });
+  assert.equal(await readAll(await driver.createReadStream('listings/clip.mp4')), '0123456789');
+  assert.equal(await readAll(await driver.createReadStream('listings/clip.mp4', { start: 2, end: 5 })), '2345');
+
+  await driver.remove('listings/clip.mp4');
+
+  assert.equal(objects.has('listings/clip.mp4'), false);
+  assert.equal(await driver.stat('listings/clip.mp4'), null);
+});
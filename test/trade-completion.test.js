@@ -0,0 +1,40 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const tradeController = require('../src/controllers/trade.controller');
+
+const { Trade } = models;
+
+const createTrade = (attributes) => Trade.create({ proposerId: 'alice', receiverId: 'bob', ...attributes });
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await createUser('mod', { roles: ['moderator'] });
+});
+
+test('a trade completes once both participants confirm', async () => {
+  const trade = await createTrade({ status: 'accepted' });
+
+  const first = await call(tradeController.completeTrade, { userId: 'alice', params: { id: trade.id } });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.pendingUserIds, ['bob']);
+
+  const second = await call(tradeController.completeTrade, { userId: 'bob', params: { id: trade.id } });
+  assert.equal(second.status, 200);
+  assert.equal((await trade.reload()).status, 'completed');
+});
+
+test('a moderator cannot confirm completion of a disputed trade for the participants', async () => {
+  const trade = await createTrade({ status: 'disputed' });
+
+  const { status } = await call(tradeController.completeTrade, { userId: 'mod', params: { id: trade.id } });
+
+  assert.equal(status, 403);
+  await trade.reload();
+  assert.equal(trade.status, 'disputed');
+  assert.deepEqual(trade.completionConfirmations || {}, {});
+});
@@ -0,0 +1,43 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const tradeController = require('../src/controllers/trade.controller');
+
+const { Listing } = models;
+
+const createListing = (userId, fields = {}) => Listing.create({
+  userId,
+  title: 'Bike',
+  description: 'Road bike',
+  category: 'sports',
+  condition: 'good',
+  estimatedValue: 100,
+  ...fields
+});
+
+let aliceListing;
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+
+  aliceListing = await createListing('alice');
+  await createListing('bob', { title: 'Tent', category: 'outdoors', estimatedValue: 20 });
+  await createListing('bob', { title: 'Helmet', estimatedValue: 90 });
+});
+
+test('matches are returned best first as potentialMatches, with their scores alongside', async () => {
+  const { status, body } = await call(tradeController.findTradeMatches, {
+    userId: 'alice',
+    body: { listingId: aliceListing.id }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.potentialMatches.map(listing => listing.title), ['Helmet', 'Tent']);
+  assert.deepEqual(body.matches.map(match => match.listing.title), ['Helmet', 'Tent']);
+  assert.ok(body.matches[0].score > body.matches[1].score);
+  assert.equal(body.totalMatches, 2);
+});
@@ -0,0 +1,117 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, models, sync, createUser } = require('./helpers/database');
+const tradeStateMachine = require('../src/services/trade-state-machine');
+
+const { Trade, TradeEvent, Dispute } = models;
+const { TradeTransitionError } = tradeStateMachine;
+
+const createTrade = (attributes) => Trade.create({ proposerId: 'alice', receiverId: 'bob', ...attributes });
+
+// Expect a TradeTransitionError with the given status
+const assertRefused = (promise, status) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof TradeTransitionError);
+  assert.equal(error.status, status);
+  return true;
+});
+
+before(async () => {
+  await sync();
+
+  await createUser('alice');
+  await createUser('bob');
+  await createUser('carol');
+  await createUser('mod', { roles: ['moderator'] });
+});
+
+test('only the recipient of an offer can accept it', async () => {
+  const trade = await createTrade({ status: 'proposed' });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'accept', 'alice'), 403);
+  await tradeStateMachine.assertTransition(trade, 'accept', 'bob');
+});
+
+test('a counter-offer makes its sender the author', async () => {
+  const trade = await createTrade({ status: 'proposed', counteredById: 'bob' });
+
+  assert.ok(await tradeStateMachine.can(trade, 'accept', 'alice'));
+  assert.ok(!await tradeStateMachine.can(trade, 'accept', 'bob'));
+  assert.ok(await tradeStateMachine.can(trade, 'cancel', 'bob'));
+});
+
+test('users outside the trade are refused', async () => {
+  const trade = await createTrade({ status: 'proposed' });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'reject', 'carol'), 403);
+});
+
+test('transitions that do not start from the current status are refused', async () => {
+  const trade = await createTrade({ status: 'completed', completedAt: new Date() });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'accept', 'bob'), 400);
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'cancel', 'alice'), 400);
+});
+
+test('expired proposals cannot be accepted', async () => {
+  const trade = await createTrade({ status: 'proposed', expiresAt: new Date(Date.now() - 1000) });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'accept', 'bob'), 400);
+  assert.ok(await tradeStateMachine.can(trade, 'expire', null));
+  assert.ok(!await tradeStateMachine.can(trade, 'expire', 'alice'));
+});
+
+test('frozen escrow blocks cancellation', async () => {
+  const trade = await createTrade({ status: 'accepted', isEscrow: true, escrowStatus: 'frozen' });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'cancel', 'alice'), 400);
+});
+
+test('only a moderator outside the trade can settle a dispute', async () => {
+  const trade = await createTrade({ status: 'disputed' });
+
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'complete', 'alice'), 403);
+  assert.ok(await tradeStateMachine.can(trade, 'complete', 'mod'));
+  assert.ok(await tradeStateMachine.can(trade, 'cancel', 'mod'));
+
+  const ownTrade = await createTrade({ status: 'disputed', receiverId: 'mod' });
+  assert.ok(!await tradeStateMachine.can(ownTrade, 'complete', 'mod'));
+});
+
+test('completed trades can be disputed once, within the dispute window', async () => {
+  const trade = await createTrade({ status: 'completed', completedAt: new Date() });
+  assert.ok(await tradeStateMachine.can(trade, 'dispute', 'alice'));
+
+  const closedAt = new Date();
+  closedAt.setDate(closedAt.getDate() - tradeStateMachine.DISPUTE_WINDOW_DAYS - 1);
+  const oldTrade = await createTrade({ status: 'completed', completedAt: closedAt });
+  assert.ok(!await tradeStateMachine.can(oldTrade, 'dispute', 'alice'));
+
+  await Dispute.create({ tradeId: trade.id, openedById: 'alice', reason: 'Not as described', status: 'resolved', tradeStatusAtOpen: 'completed' });
+  await assertRefused(tradeStateMachine.assertTransition(trade, 'dispute', 'alice'), 400);
+});
+
+test('a transition saves the new status and records an event', async () => {
+  const trade = await createTrade({ status: 'proposed' });
+
+  await sequelize.transaction(transaction => (
+    tradeStateMachine.transition(trade, 'accept', { actorId: 'bob', reason: 'Deal' }, transaction)
+  ));
+
+  assert.equal((await Trade.findByPk(trade.id)).status, 'accepted');
+
+  const events = await TradeEvent.findAll({ where: { tradeId: trade.id } });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'accept');
+  assert.equal(events[0].fromStatus, 'proposed');
+  assert.equal(events[0].toStatus, 'accepted');
+  assert.equal(events[0].actorId, 'bob');
+});
+
+test('a refused transition leaves the trade unchanged', async () => {
+  const trade = await createTrade({ status: 'proposed' });
+
+  await assertRefused(tradeStateMachine.transition(trade, 'complete', { actorId: 'alice' }), 400);
+
+  assert.equal((await Trade.findByPk(trade.id)).status, 'proposed');
+  assert.equal(await TradeEvent.count({ where: { tradeId: trade.id } }), 0);
+});
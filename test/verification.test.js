@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpload, storedKeys } = require('./helpers/uploads');
+const { models, sync, createUser } = require('./helpers/database');
+const { call } = require('./helpers/http');
+const verificationService = require('../src/services/verification');
+const createMockProvider = require('../src/services/verification/mock.provider');
+const userController = require('../src/controllers/user.controller');
+const verificationController = require('../src/controllers/verification.controller');
+
+const { User, VerificationRequest } = models;
+
+const defaultProvider = verificationService.getProvider();
+
+const submit = (userId) => call(userController.submitVerification, {
+  userId,
+  body: { documentType: 'passport' },
+  files: [createUpload('passport.jpg')]
+});
+
+const latestRequest = (userId) => VerificationRequest.findOne({ where: { userId }, order: [['createdAt', 'DESC']] });
+
+before(async () => {
+  await sync();
+
+  for (const id of ['alice', 'bob', 'carol', 'dave', 'erin']) {
+    await createUser(id);
+  }
+
+  await createUser('mod', { roles: ['moderator'] });
+});
+
+after(() => {
+  verificationService.setProvider(defaultProvider);
+});
+
+test('a provider approval verifies the user straight away', async () => {
+  const provider = createMockProvider({ decision: 'approve' });
+  verificationService.setProvider(provider);
+
+  const { status, body } = await submit('alice');
+
+  assert.equal(status, 201);
+  assert.equal(body.verificationRequest.status, 'approved');
+  assert.equal(provider.checks.length, 1);
+
+  const user = await User.findByPk('alice');
+  assert.equal(user.isVerified, true);
+  assert.ok(user.badges.includes('Verified User'));
+
+  const request = await latestRequest('alice');
+  assert.equal(request.provider, 'mock');
+  assert.equal(request.providerReference, provider.checks[0].reference);
+  assert.deepEqual(storedKeys('verification/alice'), request.documents.map(document => document.key));
+});
+
+test('a provider rejection gives the reason and lets the user try again', async () => {
+  verificationService.setProvider(createMockProvider({ decision: 'reject' }));
+
+  const { body } = await submit('bob');
+
+  assert.equal(body.verificationRequest.status, 'rejected');
+  assert.equal((await latestRequest('bob')).reviewNote, 'Rejected by the mock verification provider');
+  assert.equal((await User.findByPk('bob')).isVerified, false);
+
+  verificationService.setProvider(createMockProvider({ decision: 'review' }));
+  assert.equal((await submit('bob')).status, 201);
+  assert.equal((await submit('bob')).status, 409);
+});
+
+test('requests the provider leaves for review are decided by a reviewer', async () => {
+  verificationService.setProvider(createMockProvider({ decision: 'review' }));
+
+  await submit('carol');
+  const request = await latestRequest('carol');
+  assert.equal(request.status, 'pending');
+
+  const review = (userId, body) => call(verificationController.reviewVerificationRequest, { userId, params: { id: request.id }, body });
+
+  assert.equal((await review('carol', { status: 'approved' })).status, 403);
+  assert.equal((await review('mod', { status: 'rejected' })).status, 400);
+  assert.equal((await review('mod', { status: 'approved' })).status, 200);
+  assert.equal((await User.findByPk('carol')).isVerified, true);
+});
+
+test('a provider that fails leaves the request to reviewers', async () => {
+  verificationService.setProvider({
+    name: 'broken',
+    check: async () => {
+      throw new Error('Provider unavailable');
+    }
+  });
+
+  const { status, body } = await submit('dave');
+
+  assert.equal(status, 201);
+  assert.equal(body.verificationRequest.status, 'pending');
+  assert.equal((await latestRequest('dave')).providerResult.error, 'Provider unavailable');
+});
+
+test('a late provider decision does not overrule a reviewer', async () => {
+  verificationService.setProvider(createMockProvider({ decision: 'review' }));
+
+  await submit('erin');
+  const request = await latestRequest('erin');
+
+  await call(verificationController.reviewVerificationRequest, {
+    userId: 'mod',
+    params: { id: request.id },
+    body: { status: 'rejected', note: 'Photo is blurred' }
+  });
+
+  verificationService.setProvider(createMockProvider({ decision: 'approve' }));
+  await verificationService.checkRequest(request.id);
+
+  await request.reload();
+  assert.equal(request.status, 'rejected');
+  assert.equal(request.providerResult.decision, 'approve');
+  assert.equal((await User.findByPk('erin')).isVerified, false);
+});
+
+test('documents must be images of a known type', async () => {
+  const submitWith = (body, files) => call(userController.submitVerification, { userId: 'dave', body, files });
+
+  assert.equal((await submitWith({ documentType: 'library_card' }, [createUpload('card.jpg')])).status, 400);
+  assert.equal((await submitWith({ documentType: 'passport' }, [createUpload('passport.pdf', 'application/pdf')])).status, 400);
+  assert.equal((await submitWith({ documentType: 'passport' }, [])).status, 400);
+});